@@ -7,978 +7,6107 @@
  * - Theme switching
  * - Search functionality
  * - Progress tracking
+ * - Persisting progress and preferences
+ * - Offline reading through a service worker
  * - Mobile navigation
  */
 
-class PythonHandbook {
-    constructor() {
-        // Core properties
-        this.currentChapter = 'welcome';
-        this.completedChapters = new Set();
-        this.cachedChapters = {}; // Cache to store loaded chapters
-        
-        // Chapter configuration
-        this.chapters = [
-            'welcome', 'setup', 'variables', 'type-hints', 'cli-project', 
-            'strings', 'lists', 'fundamentals', 'dictionaries', 'conditionals', 'loops',
-            'functions', 'generators', 'classes', 'inheritance', 'dataclasses', 
-            'async', 'decorators', 'web-api', 'higher-order-functions', 'oop', 'advanced-oop',
-            'working-with-data', 'error-handling', 'modules-packages', 'context-managers', 'fastapi', 'cli-automation',
-            'data-scientific-python', 'modern-python-practices'
-        ];
+/**
+ * Persistent learner state backed by localStorage.
+ *
+ * All state lives under a single key as a versioned JSON document. On load,
+ * older documents are upgraded through `migrations` one version at a time and
+ * every field is checked against `schema`, so a missing or malformed field falls
+ * back to its default instead of breaking the app. Fields this version doesn't
+ * know about (written by a newer version) are kept as-is.
+ */
+class HandbookStorage {
+    constructor(storageKey = 'python-handbook') {
+        this.storageKey = storageKey;
+        
+        // Current schema version; bump it and add a migration when a field changes shape
+        this.version = 1;
         
-        // Map chapter IDs to markdown filenames
-        this.chapterMap = {
-            'welcome': '01-welcome',
-            'setup': '02-setup',
-            'variables': '03-variables',
-            'type-hints': '04-type-hints',
-            'cli-project': '05-cli-project',
-            'strings': '06-strings',
-            'lists': '07-lists',
-            'fundamentals': '07b-python-fundamentals',
-            'generators': '11b-python-generators',
-            'dictionaries': '08-dictionaries',
-            'conditionals': '09-conditionals',
-            'loops': '10-loops',
-            'functions': '11-functions',
-            'classes': '12-classes',
-            'inheritance': '13-inheritance',
-            'dataclasses': '14-dataclasses',
-            'async': '15-async',
-            'decorators': '16-decorators',
-            'web-api': '17-web-api',
-            'higher-order-functions': '20-higher-order-functions',
-            'oop': '21-object-oriented-programming',
-            'advanced-oop': '22-advanced-oop',
-            'working-with-data': '23-working-with-data',
-            'error-handling': '24-error-handling',
-            'modules-packages': '25-modules-packages',
-            'context-managers': '26-context-managers',
-            'fastapi': '27-fastapi',
-            'cli-automation': '28-cli-automation',
-            'data-scientific-python': '29-data-scientific-python',
-            'modern-python-practices': '30-modern-python-practices'
+        // Known fields with their default value, validity check and how an
+        // imported value is combined with the current one (keeps the current by default)
+        this.schema = {
+            completedChapters: {
+                // chapterId -> ISO timestamp of completion
+                defaultValue: () => ({}),
+                isValid: value => this.isPlainObject(value) && Object.values(value).every(time => typeof time === 'string'),
+                // Union of both, keeping the earliest completion time
+                merge: (current, incoming) => {
+                    const merged = { ...incoming, ...current };
+                    for (const [chapterId, completedAt] of Object.entries(incoming)) {
+                        if (current[chapterId] && completedAt < current[chapterId]) {
+                            merged[chapterId] = completedAt;
+                        }
+                    }
+                    return merged;
+                }
+            },
+            lastVisited: {
+                // { chapterId, scrollY, updatedAt } for resuming where the learner left off
+                defaultValue: () => null,
+                isValid: value => value === null || (this.isPlainObject(value) && typeof value.chapterId === 'string'),
+                // Whichever visit is more recent
+                merge: (current, incoming) => {
+                    if (!current || !incoming) return current || incoming;
+                    return (incoming.updatedAt || '') > (current.updatedAt || '') ? incoming : current;
+                }
+            },
+            quizResults: {
+                // chapterId -> quizIndex -> { correct, answeredAt }
+                defaultValue: () => ({}),
+                isValid: value => this.isPlainObject(value) && Object.values(value).every(chapter => this.isPlainObject(chapter)),
+                // A quiz passed on either machine counts as passed
+                merge: (current, incoming) => {
+                    const merged = { ...incoming, ...current };
+                    for (const [chapterId, results] of Object.entries(incoming)) {
+                        merged[chapterId] = { ...results, ...current[chapterId] };
+                        for (const [quizIndex, result] of Object.entries(results)) {
+                            if (result.correct && current[chapterId]?.[quizIndex]) {
+                                merged[chapterId][quizIndex] = { ...current[chapterId][quizIndex], correct: true };
+                            }
+                        }
+                    }
+                    return merged;
+                }
+            },
+            exerciseResults: {
+                // chapterId -> exerciseIndex -> { passed, passedTests, totalTests, checkedAt }
+                defaultValue: () => ({}),
+                isValid: value => this.isPlainObject(value) && Object.values(value).every(chapter => this.isPlainObject(chapter)),
+                // An exercise passed on either machine counts as passed
+                merge: (current, incoming) => {
+                    const merged = { ...incoming, ...current };
+                    for (const [chapterId, results] of Object.entries(incoming)) {
+                        merged[chapterId] = { ...results, ...current[chapterId] };
+                        for (const [exerciseIndex, result] of Object.entries(results)) {
+                            if (result.passed && current[chapterId]?.[exerciseIndex]) {
+                                merged[chapterId][exerciseIndex] = result;
+                            }
+                        }
+                    }
+                    return merged;
+                }
+            },
+            bookmarks: {
+                // [{ id: "chapterId/sectionId", chapterId, sectionId, title, createdAt }]
+                defaultValue: () => [],
+                isValid: value => Array.isArray(value) && value.every(bookmark => this.isPlainObject(bookmark) && typeof bookmark.chapterId === 'string'),
+                merge: (current, incoming) => this.mergeById(current, incoming)
+            },
+            highlights: {
+                // [{ id, chapterId, sectionId, text, prefix, suffix, createdAt }], anchored
+                // by section and surrounding text so they survive re-rendering
+                defaultValue: () => [],
+                isValid: value => Array.isArray(value) && value.every(highlight => this.isPlainObject(highlight) && typeof highlight.text === 'string'),
+                merge: (current, incoming) => this.mergeById(current, incoming)
+            },
+            notes: {
+                // [{ id: "chapterId/sectionId", chapterId, sectionId, title, text, createdAt, updatedAt }],
+                // at most one per section; text is Markdown
+                defaultValue: () => [],
+                isValid: value => Array.isArray(value) && value.every(note => this.isPlainObject(note) && typeof note.text === 'string'),
+                // Whichever edit of a note is more recent
+                merge: (current, incoming) => this.mergeById(current, incoming).map(note => {
+                    const other = incoming.find(item => item.id === note.id);
+                    return other && (other.updatedAt || '') > (note.updatedAt || '') ? other : note;
+                })
+            },
+            sectionProgress: {
+                // chapterId -> { total, suggestedAt, sections: { sectionId -> { seconds, depth, readAt } } },
+                // where depth is the furthest fraction of the section scrolled into view
+                defaultValue: () => ({}),
+                isValid: value => this.isPlainObject(value) && Object.values(value).every(chapter => this.isPlainObject(chapter) && this.isPlainObject(chapter.sections)),
+                // Keep the most reading done on either machine
+                merge: (current, incoming) => {
+                    const merged = { ...incoming, ...current };
+                    for (const [chapterId, progress] of Object.entries(incoming)) {
+                        if (!current[chapterId]) continue;
+                        const sections = { ...progress.sections, ...current[chapterId].sections };
+                        for (const [sectionId, section] of Object.entries(progress.sections)) {
+                            const mine = current[chapterId].sections[sectionId];
+                            if (!mine) continue;
+                            sections[sectionId] = {
+                                seconds: Math.max(mine.seconds, section.seconds),
+                                depth: Math.max(mine.depth, section.depth),
+                                readAt: [mine.readAt, section.readAt].filter(Boolean).sort()[0]
+                            };
+                        }
+                        merged[chapterId] = { ...current[chapterId], sections };
+                    }
+                    return merged;
+                }
+            },
+            shortcuts: {
+                // actionId -> key for shortcuts the reader rebound; '' turns a shortcut off
+                defaultValue: () => ({}),
+                isValid: value => this.isPlainObject(value) && Object.values(value).every(key => typeof key === 'string')
+            },
+            learningPath: {
+                // ID of the chosen learning path, or null for every chapter
+                defaultValue: () => null,
+                isValid: value => value === null || typeof value === 'string'
+            },
+            theme: {
+                // 'light', 'dark', 'high-contrast' or 'sepia'; null follows the system setting
+                defaultValue: () => null,
+                isValid: value => value === null || typeof value === 'string'
+            },
+            typography: {
+                // Reader settings the reader changed, e.g. { fontSize: 'large' }
+                defaultValue: () => ({}),
+                isValid: value => this.isPlainObject(value) && Object.values(value).every(choice => typeof choice === 'string')
+            }
         };
         
-        // Initialize the application
-        this.init();
+        // Upgrades keyed by the version they start from, e.g. 1: data => ({ ...data, version: 2 })
+        this.migrations = {};
+        
+        this.state = this.load();
     }
 
     /**
-     * Initialize the application
+     * Read, migrate and validate the saved state
      */
-    init() {
-        // Setup event handlers
-        this.setupTheme();
-        this.setupNavigation();
-        this.setupSearch();
-        this.setupCodeCopy();
-        this.setupProgressTracking();
-        this.setupMobileNavigation();
-        this.setupChapterCompletion();
+    load() {
+        let data = null;
         
-        // Initialize progress
-        this.updateProgress();
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            data = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            // Storage disabled or unreadable JSON: start fresh
+            console.warn('Could not read saved progress:', error);
+        }
         
-        // Set initial active chapter
-        this.loadAndShowChapter(this.currentChapter);
+        return this.normalize(data);
     }
 
     /**
-     * Theme switcher between light and dark mode
+     * Bring a state document up to the current schema: run pending
+     * migrations and reset missing or malformed fields to their defaults
      */
-    setupTheme() {
-        const themeToggle = document.getElementById('themeToggle');
-        const html = document.documentElement;
+    normalize(data) {
+        if (!this.isPlainObject(data)) {
+            data = { version: this.version };
+        }
         
-        // Get initial theme preference
-        const savedTheme = this.getThemePreference();
-        html.setAttribute('data-color-scheme', savedTheme);
+        let version = Number.isInteger(data.version) ? data.version : 0;
+        while (version < this.version) {
+            const migrate = this.migrations[version];
+            data = migrate ? migrate(data) : data;
+            version++;
+        }
+        data.version = Math.max(version, this.version);
         
-        themeToggle.addEventListener('click', () => {
-            const currentTheme = html.getAttribute('data-color-scheme');
-            const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-            
-            html.setAttribute('data-color-scheme', newTheme);
-            this.saveThemePreference(newTheme);
-            
-            // Add smooth transition effect
-            html.style.transition = 'background-color 0.3s ease, color 0.3s ease';
-            setTimeout(() => {
-                html.style.transition = '';
-            }, 300);
-        });
+        for (const [field, { defaultValue, isValid }] of Object.entries(this.schema)) {
+            if (!(field in data) || !isValid(data[field])) {
+                data[field] = defaultValue();
+            }
+        }
+        
+        return data;
     }
 
     /**
-     * Get user's theme preference (light or dark)
+     * Write the current state back to localStorage
      */
-    getThemePreference() {
-        // Use system preference as default
-        if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
-            return 'dark';
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            // Quota exceeded or storage disabled: keep working from memory
+            console.warn('Could not save progress:', error);
         }
-        return 'light';
     }
 
     /**
-     * Save user's theme preference
+     * Get the value of a field
      */
-    saveThemePreference(theme) {
-        // In a real app, we'd use localStorage
-        // For this demo, we'll just keep it in memory
-        this.currentTheme = theme;
+    get(field) {
+        return this.state[field];
     }
 
     /**
-     * Setup chapter navigation using links, buttons and keyboard
+     * Set the value of a field and persist it
      */
-    setupNavigation() {
-        const navLinks = document.querySelectorAll('.nav-link');
-        const nextButtons = document.querySelectorAll('.next-chapter');
-        const prevButtons = document.querySelectorAll('.prev-chapter');
+    set(field, value) {
+        this.state[field] = value;
+        this.save();
+    }
+
+    /**
+     * Replace a field with the result of updater(currentValue) and persist it
+     */
+    update(field, updater) {
+        this.set(field, updater(this.state[field]));
+    }
+
+    /**
+     * Create a portable snapshot of the saved state for moving to another machine
+     */
+    exportData() {
+        return {
+            format: 'python-handbook-progress',
+            exportedAt: new Date().toISOString(),
+            data: this.state
+        };
+    }
+
+    /**
+     * Validate an exported snapshot and merge it into the saved state.
+     * Throws an Error describing the problem if the snapshot isn't usable.
+     */
+    importData(snapshot) {
+        if (!this.isPlainObject(snapshot) || snapshot.format !== 'python-handbook-progress' || !this.isPlainObject(snapshot.data)) {
+            throw new Error('This file is not a Python Mastery Handbook progress export.');
+        }
+        if (Number.isInteger(snapshot.data.version) && snapshot.data.version > this.version) {
+            throw new Error('This file was exported from a newer version of the handbook.');
+        }
         
-        // Handle nav link clicks
-        navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const chapter = link.dataset.chapter;
-                const sectionId = link.getAttribute('href');
-                this.navigateToChapter(chapter, sectionId);
-            });
-        });
+        const incoming = this.normalize(snapshot.data);
         
-        // Handle next/previous buttons
-        nextButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                const nextChapter = button.dataset.next;
-                this.navigateToChapter(nextChapter);
-            });
-        });
+        // Merge into a copy so a field that fails part-way leaves the saved state untouched
+        const next = { ...this.state };
+        for (const [field, { merge }] of Object.entries(this.schema)) {
+            const current = next[field];
+            next[field] = merge ? merge(current, incoming[field]) : (current ?? incoming[field]);
+        }
         
-        prevButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                const prevChapter = button.dataset.prev;
-                this.navigateToChapter(prevChapter);
-            });
-        });
+        this.state = next;
+        this.save();
+    }
 
-        // Handle keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (e.ctrlKey || e.metaKey) return;
-            
-            switch(e.key) {
-                case 'ArrowLeft':
-                    if (e.altKey) {
-                        e.preventDefault();
-                        this.navigateToPreviousChapter();
-                    }
-                    break;
-                case 'ArrowRight':
-                    if (e.altKey) {
-                        e.preventDefault();
-                        this.navigateToNextChapter();
-                    }
-                    break;
-                case '/':
-                    if (!e.target.matches('input, textarea')) {
-                        e.preventDefault();
-                        this.openSearch();
-                    }
-                    break;
-                case 'Escape':
-                    this.closeSearch();
-                    break;
-            }
-        });
+    /**
+     * Combine two lists of records, adding incoming ones whose ID isn't already present
+     */
+    mergeById(current, incoming) {
+        const ids = new Set(current.map(item => item.id));
+        return [...current, ...incoming.filter(item => !ids.has(item.id))];
     }
 
     /**
-     * Navigate to a specific chapter
+     * Check that a value is a plain object rather than an array or null
      */
-    navigateToChapter(chapterId, sectionId = null) {
-        if (!chapterId) return;
-        
-        const sameChapter = chapterId === this.currentChapter;
-        
-        if (!sameChapter) {
-            this.currentChapter = chapterId;
-            this.loadAndShowChapter(chapterId);
-            this.updateActiveNavLink(chapterId);
-            
-            // If we're navigating to a specific section, wait for content to load
-            if (sectionId) {
-                setTimeout(() => this.scrollToSection(sectionId), 300);
-            } else {
-                this.scrollToTop();
-            }
-        } else if (sectionId) {
-            // If already on the same chapter, just scroll to the section
-            this.scrollToSection(sectionId);
+    isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+}
+
+/**
+ * Error raised when a chapter can't be loaded. `reason` is one of 'offline',
+ * 'timeout', 'not-found' or 'server', so the UI can explain what happened
+ * without showing raw error text.
+ */
+class ChapterLoadError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'ChapterLoadError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Fetches chapter Markdown and keeps a copy in localStorage.
+ *
+ * Each request is bounded by a timeout and retried with exponential backoff
+ * on network errors, timeouts and server errors. Callers pass an AbortSignal
+ * to cancel a load that is no longer wanted. Saved copies are revalidated with
+ * conditional requests (ETag / Last-Modified) so unchanged chapters cost a 304.
+ * Each chapter is stored under its own key so saving one doesn't rewrite the rest.
+ */
+class ChapterLoader {
+    constructor({ keyPrefix = 'python-handbook-chapter:', timeout = 10000, retries = 2, retryDelay = 500 } = {}) {
+        this.keyPrefix = keyPrefix;
+        this.timeout = timeout; // Milliseconds before a single attempt gives up
+        this.retries = retries; // Extra attempts after the first one fails
+        this.retryDelay = retryDelay; // Delay before the first retry; doubles each time
+    }
+
+    /**
+     * Get the saved copy of a chapter as { markdown, etag, lastModified, savedAt }, or null
+     */
+    getCached(path) {
+        try {
+            const entry = JSON.parse(localStorage.getItem(this.keyPrefix + path));
+            return entry && typeof entry.markdown === 'string' ? entry : null;
+        } catch (error) {
+            return null;
         }
     }
-    
+
     /**
-     * Scroll to a specific section within the current chapter
+     * Resolve with a chapter's Markdown, from the saved copy when there is one
      */
-    scrollToSection(sectionId) {
-        if (!sectionId) return;
+    async load(path, { signal } = {}) {
+        const cached = this.getCached(path);
+        if (cached) return cached.markdown;
         
-        const sectionElement = document.querySelector(sectionId);
-        if (sectionElement) {
-            sectionElement.scrollIntoView({ behavior: 'smooth' });
-            this.updateActiveSectionLink(sectionId);
-        }
+        const { markdown } = await this.fetch(path, { signal });
+        return markdown;
     }
-    
+
     /**
-     * Update the active section link in the sidebar
+     * Fetch a chapter from the network and save it. Resolves with
+     * { markdown, changed }, where changed is false when the saved copy was
+     * already up to date.
      */
-    updateActiveSectionLink(sectionId) {
-        // Remove active class from all section links
-        document.querySelectorAll('.nav-link[href^="#fastapi-"]').forEach(link => {
-            link.classList.remove('section-active');
-        });
+    async fetch(path, { signal } = {}) {
+        const cached = this.getCached(path);
+        const headers = {};
+        if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+        if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
         
-        // Add active class to current section link
-        const activeSectionLink = document.querySelector(`a[href="${sectionId}"]`);
-        if (activeSectionLink) {
-            activeSectionLink.classList.add('section-active');
+        const response = await this.fetchWithRetry(path, { headers, cache: 'no-cache' }, signal);
+        
+        if (response.status === 304 && cached) {
+            this.save(path, { ...cached, savedAt: new Date().toISOString() });
+            return { markdown: cached.markdown, changed: false };
         }
+        
+        const markdown = await response.text();
+        this.save(path, {
+            markdown,
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified'),
+            savedAt: new Date().toISOString()
+        });
+        return { markdown, changed: !cached || cached.markdown !== markdown };
     }
 
     /**
-     * Navigate to the next chapter in sequence
+     * Fetch with a per-attempt timeout, retrying failures that may be temporary
      */
-    navigateToNextChapter() {
-        const currentIndex = this.chapters.indexOf(this.currentChapter);
-        if (currentIndex < this.chapters.length - 1) {
-            this.navigateToChapter(this.chapters[currentIndex + 1]);
+    async fetchWithRetry(path, init, signal) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await this.fetchWithTimeout(path, init, signal);
+                if (response.ok || response.status === 304) return response;
+                
+                if (response.status === 404) {
+                    throw new ChapterLoadError('not-found', `Chapter not found: ${path}`);
+                }
+                // Other client errors won't go away by asking again
+                const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+                throw Object.assign(new ChapterLoadError('server', `Failed to load chapter: ${response.status}`), { retryable });
+            } catch (error) {
+                const permanent = error.retryable === false || error.reason === 'not-found' || error.reason === 'offline';
+                if (error.name === 'AbortError' || permanent || attempt >= this.retries) {
+                    throw error;
+                }
+            }
+            
+            await this.wait(this.retryDelay * 2 ** attempt, signal);
         }
     }
 
     /**
-     * Navigate to the previous chapter in sequence
+     * Fetch once, giving up after the timeout. Aborting the caller's signal
+     * rejects with an AbortError; a timeout or network failure rejects with a
+     * ChapterLoadError.
      */
-    navigateToPreviousChapter() {
-        const currentIndex = this.chapters.indexOf(this.currentChapter);
-        if (currentIndex > 0) {
-            this.navigateToChapter(this.chapters[currentIndex - 1]);
+    async fetchWithTimeout(url, init, signal) {
+        if (signal && signal.aborted) {
+            throw new DOMException('Chapter load cancelled', 'AbortError');
+        }
+        
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        const timer = setTimeout(abort, this.timeout);
+        signal?.addEventListener('abort', abort);
+        
+        try {
+            return await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            if (error.name === 'AbortError') {
+                throw new ChapterLoadError('timeout', `Timed out after ${this.timeout / 1000} seconds`);
+            }
+            throw new ChapterLoadError(navigator.onLine === false ? 'offline' : 'server', error.message);
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abort);
         }
     }
 
     /**
-     * Update active state of navigation links
+     * Resolve after a delay, or reject with an AbortError if the signal fires first
      */
-    updateActiveNavLink(chapterId) {
-        // Remove active class from all nav links
-        document.querySelectorAll('.nav-link').forEach(link => {
-            link.classList.remove('active');
+    wait(delay, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, delay);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Chapter load cancelled', 'AbortError'));
+            }, { once: true });
         });
-        
-        // Add active class to current nav link
-        const activeLink = document.querySelector(`[data-chapter="${chapterId}"]`);
-        if (activeLink) {
-            activeLink.classList.add('active');
-        }
     }
 
     /**
-     * Scroll to the top of the content area
+     * Save a chapter, making room by dropping the oldest saved chapters if storage is full
      */
-    scrollToTop() {
-        const mainContent = document.querySelector('.main-content');
-        if (mainContent) {
-            mainContent.scrollTop = 0;
+    save(path, entry) {
+        const value = JSON.stringify(entry);
+        
+        for (;;) {
+            try {
+                localStorage.setItem(this.keyPrefix + path, value);
+                return;
+            } catch (error) {
+                if (!this.evictOldest()) break;
+            }
         }
-        window.scrollTo({ top: 0, behavior: 'smooth' });
+        // Storage is full or disabled: the chapter just won't be available offline
+        console.warn(`Could not save chapter ${path} for offline reading`);
     }
 
     /**
-     * Load and display a chapter's content from Markdown file
+     * Remove the least recently saved chapter. Returns false if there was nothing to remove.
      */
-    loadAndShowChapter(chapterId) {
-        // Check if we already have this chapter loaded in cache
-        if (this.cachedChapters[chapterId]) {
-            this.displayChapterContent(chapterId, this.cachedChapters[chapterId]);
-            return;
+    evictOldest() {
+        const entries = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(this.keyPrefix)) {
+                const entry = this.getCached(key.slice(this.keyPrefix.length));
+                entries.push({ key, savedAt: entry ? entry.savedAt : '' });
+            }
         }
+        
+        if (entries.length === 0) return false;
+        
+        entries.sort((a, b) => (a.savedAt || '').localeCompare(b.savedAt || ''));
+        localStorage.removeItem(entries[0].key);
+        return true;
+    }
+}
 
-        // Show loading state
-        this.showLoadingIndicator(chapterId);
+/**
+ * A Map that holds at most `maxSize` entries. Reading or writing an entry makes
+ * it the most recently used; when full, the least recently used entry is dropped.
+ */
+class LruCache {
+    constructor(maxSize) {
+        this.maxSize = maxSize;
+        this.entries = new Map(); // Kept in order of use, oldest first
+    }
 
-        // Construct the markdown file path based on the chapter
-        const markdownFileName = this.chapterMap[chapterId];
-        if (!markdownFileName) {
-            console.error(`No markdown file mapping for chapter: ${chapterId}`);
-            return;
-        }
+    /**
+     * Check for an entry without counting it as a use
+     */
+    has(key) {
+        return this.entries.has(key);
+    }
 
-        // Fetch the markdown file
-        const markdownPath = `./chapters/${markdownFileName}.md`;
+    /**
+     * Get an entry and mark it as the most recently used
+     */
+    get(key) {
+        if (!this.entries.has(key)) return undefined;
         
-        fetch(markdownPath)
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`Failed to load chapter: ${response.status}`);
-                }
-                return response.text();
-            })
-            .then(markdown => {
-                // Parse the markdown content
-                const html = this.convertMarkdownToHtml(markdown);
-                
-                // Cache the HTML for future use
-                this.cachedChapters[chapterId] = html;
-                
-                // Display the chapter
-                this.displayChapterContent(chapterId, html);
-            })
-            .catch(error => {
-                console.error(`Error loading chapter ${chapterId}:`, error);
-                const errorHtml = `
-                    <div class="chapter-content">
-                        <h1>Error Loading Chapter</h1>
-                        <p>Sorry, we couldn't load the chapter content. Please try again later.</p>
-                        <p>Error details: ${error.message}</p>
-                    </div>
-                `;
-                this.displayChapterContent(chapterId, errorHtml);
-            });
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
     }
-    
+
     /**
-     * Show loading indicator while chapter is loading
+     * Add or replace an entry, dropping the least recently used one if full
      */
-    showLoadingIndicator(chapterId) {
-        // Create or get container for the chapter
-        let chapterContainer = document.getElementById(chapterId);
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
         
-        if (!chapterContainer) {
-            // Create a new container if it doesn't exist
-            chapterContainer = document.createElement('div');
-            chapterContainer.id = chapterId;
-            chapterContainer.className = 'chapter';
-            document.querySelector('.main-content').appendChild(chapterContainer);
+        if (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
         }
-        
-        // Hide all chapters
-        document.querySelectorAll('.chapter').forEach(chapter => {
-            chapter.classList.remove('active');
-        });
-        
-        // Show loading indicator
-        chapterContainer.innerHTML = `
-            <div class="loading-container">
-                <div class="loading-spinner"></div>
-                <p>Loading chapter content...</p>
-            </div>
-        `;
-        chapterContainer.classList.add('active');
     }
-    
+
     /**
-     * Display chapter content in the UI
+     * Remove an entry
      */
-    displayChapterContent(chapterId, html) {
-        // Create or get container for the chapter content
-        let chapterContainer = document.getElementById(chapterId);
+    delete(key) {
+        return this.entries.delete(key);
+    }
+}
+
+/**
+ * Allow-list HTML sanitizer for rendered chapters and search results.
+ *
+ * Chapters may come from contributors, and Markdown passes raw HTML through,
+ * so everything rendered into the page goes through here first. The HTML is
+ * parsed into an inert <template> (nothing loads or runs), then any element not
+ * in `tags` is removed: dangerous ones together with their content, others
+ * replaced by their children. Attributes not in the allow-list are dropped,
+ * and links and images may only point at http(s), mailto or relative URLs.
+ */
+class HtmlSanitizer {
+    constructor() {
+        // Elements produced by marked and by the handbook's own widgets (code blocks, quizzes, exercises)
+        this.tags = new Set([
+            'a', 'abbr', 'b', 'blockquote', 'br', 'button', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt',
+            'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'kbd', 'label', 'li', 'mark',
+            'ol', 'p', 'pre', 's', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+            'tfoot', 'th', 'thead', 'tr', 'ul'
+        ]);
         
-        if (!chapterContainer) {
-            // Create a new container if it doesn't exist
-            chapterContainer = document.createElement('div');
-            chapterContainer.id = chapterId;
-            chapterContainer.className = 'chapter';
-            document.querySelector('.main-content').appendChild(chapterContainer);
-        }
+        // Removed with everything inside them rather than unwrapped
+        this.droppedTags = new Set([
+            'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'template',
+            'noscript', 'svg', 'math', 'form', 'textarea', 'select', 'link', 'meta', 'base', 'title'
+        ]);
         
-        // Hide all chapters
-        document.querySelectorAll('.chapter').forEach(chapter => {
-            chapter.classList.remove('active');
-        });
+        // Allowed on every element, along with aria-* and data-*
+        this.globalAttributes = new Set(['class', 'id', 'title', 'role', 'hidden', 'lang', 'dir']);
         
-        // Update chapter content and show it
-        chapterContainer.innerHTML = html;
-        chapterContainer.classList.add('active');
+        this.tagAttributes = {
+            a: ['href'],
+            img: ['src', 'alt', 'width', 'height', 'loading'],
+            input: ['type', 'name', 'value', 'checked', 'disabled', 'placeholder', 'autocomplete', 'autocapitalize', 'spellcheck'],
+            button: ['type', 'disabled'],
+            label: ['for'],
+            pre: ['tabindex'],
+            ol: ['start', 'reversed'],
+            li: ['value'],
+            td: ['align', 'colspan', 'rowspan'],
+            th: ['align', 'colspan', 'rowspan', 'scope'],
+            details: ['open']
+        };
         
-        // Re-run syntax highlighting for the new chapter
-        if (window.Prism) {
+        // Quizzes need checkboxes, radio buttons and text answers; nothing else
+        this.inputTypes = new Set(['checkbox', 'radio', 'text']);
+        this.urlAttributes = new Set(['href', 'src']);
+        
+        // Attributes naming other elements by id, kept pointing at them when ids are prefixed
+        this.idReferenceAttributes = new Set(['for', 'aria-labelledby', 'aria-describedby', 'aria-controls']);
+    }
+
+    /**
+     * Return a safe copy of an HTML string. With an idPrefix, every id that
+     * doesn't already start with it gets it, so the HTML can't reuse the app's own ids.
+     */
+    sanitize(html, { idPrefix = '' } = {}) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        this.sanitizeChildren(template.content, idPrefix);
+        return template.innerHTML;
+    }
+
+    /**
+     * Clean every descendant of a node, depth first
+     */
+    sanitizeChildren(parent, idPrefix = '') {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove(); // Comments and processing instructions
+                return;
+            }
+            
+            const tag = node.localName;
+            if (this.droppedTags.has(tag) || (tag === 'input' && !this.inputTypes.has((node.getAttribute('type') || 'text').toLowerCase()))) {
+                node.remove();
+                return;
+            }
+            
+            this.sanitizeChildren(node, idPrefix);
+            
+            if (!this.tags.has(tag)) {
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+            this.sanitizeAttributes(node, tag, idPrefix);
+        });
+    }
+
+    /**
+     * Drop attributes that aren't allowed on this element, and unsafe URLs
+     */
+    sanitizeAttributes(element, tag, idPrefix = '') {
+        const allowed = this.tagAttributes[tag] || [];
+        
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            const permitted = this.globalAttributes.has(name) || allowed.includes(name) ||
+                name.startsWith('aria-') || /^data-[\w-]+$/.test(name);
+            
+            if (!permitted || (this.urlAttributes.has(name) && !this.isSafeUrl(value))) {
+                element.removeAttribute(name);
+            } else if (idPrefix && (name === 'id' || this.idReferenceAttributes.has(name))) {
+                const ids = value.trim().split(/\s+/).filter(Boolean);
+                element.setAttribute(name, ids.map(id => id.startsWith(idPrefix) ? id : idPrefix + id).join(' '));
+            }
+        });
+        
+        // Links leaving the handbook open in a new tab without access to this one
+        if (tag === 'a' && /^https?:/i.test(element.getAttribute('href') || '')) {
+            element.setAttribute('target', '_blank');
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+
+    /**
+     * Allow relative URLs and http(s)/mailto ones, but not javascript: or data: URLs
+     */
+    isSafeUrl(url) {
+        // Browsers ignore whitespace and control characters inside the scheme
+        const normalized = url.replace(/[\u0000- \u007f]/g, '');
+        const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+        return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+    }
+}
+
+/**
+ * Builds a ZIP file in memory for the EPUB export. Files are stored without
+ * compression, which keeps the writer small and is what EPUB requires for its
+ * leading "mimetype" file anyway.
+ */
+class ZipArchive {
+    constructor() {
+        this.files = []; // { name, data, crc } in the order they were added
+        this.crcTable = null; // Built on first use
+    }
+
+    /**
+     * Add a file from a string, saved as UTF-8, or from a Uint8Array
+     */
+    addFile(name, content) {
+        const encoder = new TextEncoder();
+        const data = typeof content === 'string' ? encoder.encode(content) : content;
+        this.files.push({ name: encoder.encode(name), data, crc: this.crc32(data) });
+    }
+
+    /**
+     * Lay out each file's local header and data, followed by the central
+     * directory that lists them and the record that ends the archive
+     */
+    toBlob(type = 'application/zip') {
+        const modified = this.getDosDateTime(new Date());
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+        let directorySize = 0;
+        
+        for (const file of this.files) {
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true); // Version needed to extract: 2.0
+            this.setFileFields(header, 6, file, modified);
+            parts.push(header, file.name, file.data);
+            
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true); // Version made by
+            entry.setUint16(6, 20, true); // Version needed to extract
+            this.setFileFields(entry, 8, file, modified);
+            // Comment length, disk number and attributes stay zero
+            entry.setUint32(42, offset, true);
+            directory.push(entry, file.name);
+            
+            offset += header.byteLength + file.name.length + file.data.length;
+            directorySize += entry.byteLength + file.name.length;
+        }
+        
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.files.length, true); // Files on this disk
+        end.setUint16(10, this.files.length, true); // Files in total
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...parts, ...directory, end], { type });
+    }
+
+    /**
+     * Write the fields local headers and directory entries share, from flags to name length
+     */
+    setFileFields(view, position, file, { time, date }) {
+        view.setUint16(position, 0, true); // Flags
+        view.setUint16(position + 2, 0, true); // Compression method: stored
+        view.setUint16(position + 4, time, true);
+        view.setUint16(position + 6, date, true);
+        view.setUint32(position + 8, file.crc, true);
+        view.setUint32(position + 12, file.data.length, true); // Compressed size
+        view.setUint32(position + 16, file.data.length, true); // Uncompressed size
+        view.setUint16(position + 20, file.name.length, true);
+        view.setUint16(position + 22, 0, true); // Extra field length
+    }
+
+    /**
+     * MS-DOS time and date, as ZIP headers store them (to the nearest two seconds)
+     */
+    getDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * CRC-32 checksum of the bytes, as ZIP uses to check each file
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c;
+            }
+        }
+        
+        let crc = 0xffffffff;
+        for (const byte of bytes) {
+            crc = this.crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+class PythonHandbook {
+    constructor() {
+        // Core properties
+        this.storage = new HandbookStorage();
+        this.currentChapter = 'welcome';
+        this.completedChapters = new Set(Object.keys(this.storage.get('completedChapters')));
+        this.cachedChapters = new LruCache(10); // Rendered HTML of recently opened and prefetched chapters
+        this.sanitizer = new HtmlSanitizer(); // Cleans rendered chapter and search HTML
+        this.chapterLoader = new ChapterLoader(); // Fetches chapter Markdown and saves it for offline reading
+        this.chapterLoadController = null; // Aborts the in-flight chapter load when another chapter is opened
+        this.prefetchQueue = []; // Chapter IDs waiting to be fetched and rendered in idle time
+        this.prefetching = false;
+        this.pendingSection = null; // Section to reveal once the current chapter renders
+        this.pendingScrollY = null; // Scroll position to restore once the first chapter renders
+        this.codeEdits = new Map(); // "chapterId:blockIndex" -> { code, editing } for edited code blocks
+        this.exerciseTests = new Map(); // "chapterId:exerciseIndex" -> test sources, kept out of the page
+        this.quizAnswers = new Map(); // "chapterId:quizIndex" -> { correct, answers }, kept out of the page
+        this.readingChapter = null; // Sections of the open chapter and the reading recorded for them
+        this.lastReadingActivity = Date.now(); // Reading time stops counting when the reader goes idle
+        
+        // Chapter manifest: the single source of truth for chapter order, files,
+        // titles, sidebar grouping, estimated reading time (minutes) and the
+        // chapters each one builds on (`requires`).
+        // Chapters are listed in reading order; prerequisites always come earlier.
+        this.chapterManifest = [
+            {
+                part: 'Getting Started',
+                chapters: [
+                    { id: 'welcome', file: '01-welcome', title: 'Welcome', readingTime: 1 },
+                    { id: 'setup', file: '02-setup', title: 'Setup & Installation', readingTime: 1 },
+                    { id: 'fundamentals', file: '02b-python-fundamentals', title: 'Python Fundamentals', readingTime: 15 }
+                ]
+            },
+            {
+                part: 'Python Basics',
+                chapters: [
+                    { id: 'variables', file: '03-variables', title: 'Variables & Data Types', readingTime: 8 },
+                    { id: 'strings', file: '06-strings', title: 'Strings', readingTime: 10, requires: ['variables'] },
+                    { id: 'lists', file: '07-lists', title: 'Lists & Tuples', readingTime: 14, requires: ['variables'] },
+                    { id: 'dictionaries', file: '08-dictionaries', title: 'Dictionaries & Sets', readingTime: 8, requires: ['lists'] },
+                    { id: 'conditionals', file: '09-conditionals', title: 'Conditionals', readingTime: 12, requires: ['variables'] },
+                    { id: 'loops', file: '10-loops', title: 'Loops', readingTime: 7, requires: ['lists', 'conditionals'] },
+                    { id: 'functions', file: '11-functions', title: 'Functions', readingTime: 8, requires: ['loops'] },
+                    { id: 'scopes', file: '19-scopes', title: 'Scopes & Closures', readingTime: 8, requires: ['functions'] },
+                    { id: 'generators', file: '11b-python-generators', title: 'Generators', readingTime: 10, requires: ['functions', 'loops'] }
+                ]
+            },
+            {
+                part: 'Object-Oriented Programming',
+                chapters: [
+                    { id: 'classes', file: '12-classes', title: 'Classes & Objects', readingTime: 8, requires: ['functions'] },
+                    { id: 'inheritance', file: '13-inheritance', title: 'Inheritance', readingTime: 8, requires: ['classes'] },
+                    { id: 'oop', file: '21-object-oriented-programming', title: 'Object-Oriented Programming', readingTime: 24, requires: ['inheritance'] },
+                    { id: 'advanced-oop', file: '22-advanced-oop', title: 'Advanced OOP', readingTime: 38, requires: ['oop'] }
+                ]
+            },
+            {
+                part: 'Intermediate Python',
+                chapters: [
+                    { id: 'error-handling', file: '24-error-handling', title: 'Error Handling', readingTime: 8, requires: ['functions'] },
+                    { id: 'modules-packages', file: '25-modules-packages', title: 'Modules & Packages', readingTime: 10, requires: ['functions'] },
+                    { id: 'working-with-data', file: '23-working-with-data', title: 'Working with Data', readingTime: 9, requires: ['dictionaries', 'error-handling'] },
+                    { id: 'type-hints', file: '04-type-hints', title: 'Type Hints', readingTime: 2, requires: ['functions'] },
+                    { id: 'dataclasses', file: '14-dataclasses', title: 'Dataclasses', readingTime: 6, requires: ['classes', 'type-hints'] },
+                    { id: 'higher-order-functions', file: '20-higher-order-functions', title: 'Higher-Order Functions', readingTime: 9, requires: ['functions', 'scopes'] },
+                    { id: 'decorators', file: '16-decorators', title: 'Decorators', readingTime: 9, requires: ['functions', 'higher-order-functions'] },
+                    { id: 'context-managers', file: '26-context-managers', title: 'Context Managers', readingTime: 9, requires: ['classes', 'error-handling'] }
+                ]
+            },
+            {
+                part: 'Advanced Python',
+                chapters: [
+                    { id: 'async', file: '15-async', title: 'Async Programming', readingTime: 14, requires: ['generators', 'error-handling'] },
+                    { id: 'threading', file: '18-threading', title: 'Threading & Concurrency', readingTime: 7, requires: ['functions', 'error-handling'] },
+                    { id: 'data-scientific-python', file: '29-data-scientific-python', title: 'Data & Scientific Python', readingTime: 19, requires: ['working-with-data'] },
+                    { id: 'modern-python-practices', file: '30-modern-python-practices', title: 'Modern Python Practices', readingTime: 17, requires: ['modules-packages', 'type-hints'] }
+                ]
+            },
+            {
+                part: 'Practical Projects',
+                chapters: [
+                    { id: 'cli-project', file: '05-cli-project', title: 'CLI Tool Project', readingTime: 2, requires: ['functions', 'modules-packages'] },
+                    { id: 'cli-automation', file: '28-cli-automation', title: 'CLI & Automation', readingTime: 23, requires: ['cli-project', 'error-handling'] },
+                    { id: 'web-api', file: '17-web-api', title: 'Web API Project', readingTime: 16, requires: ['classes', 'working-with-data', 'error-handling'] }
+                ]
+            },
+            {
+                part: 'FastAPI Development',
+                chapters: [
+                    { id: 'fastapi', file: '27-fastapi', title: 'FastAPI Web Development', readingTime: 27, requires: ['web-api', 'async', 'type-hints', 'decorators'] }
+                ]
+            }
+        ];
+        
+        // Views derived from the manifest
+        this.chapterInfo = {}; // chapterId -> manifest entry plus its part and order
+        this.chapterManifest.forEach(({ part, chapters }) => {
+            chapters.forEach(chapter => {
+                this.chapterInfo[chapter.id] = { ...chapter, part, order: Object.keys(this.chapterInfo).length };
+            });
+        });
+        this.chapters = Object.keys(this.chapterInfo); // Chapter IDs in reading order
+        this.chapterMap = Object.fromEntries(this.chapters.map(id => [id, this.chapterInfo[id].file])); // Chapter ID -> markdown filename
+        
+        // Curated learning paths. Each lists the chapters it aims for; their
+        // prerequisites are pulled in automatically and read in manifest order.
+        this.learningPaths = [
+            {
+                id: 'essentials',
+                title: 'Python essentials',
+                description: 'The core language: data types, control flow, functions, classes and errors.',
+                chapters: ['welcome', 'setup', 'fundamentals', 'strings', 'dictionaries', 'functions', 'classes', 'error-handling', 'modules-packages']
+            },
+            {
+                id: 'backend',
+                title: 'Backend with FastAPI',
+                description: 'Typed, async Python for building and shipping web APIs.',
+                chapters: ['welcome', 'setup', 'dataclasses', 'decorators', 'context-managers', 'async', 'web-api', 'fastapi', 'modern-python-practices']
+            },
+            {
+                id: 'data',
+                title: 'Data & scientific Python',
+                description: 'Reading, transforming and analysing data with Python and its scientific libraries.',
+                chapters: ['welcome', 'setup', 'strings', 'generators', 'higher-order-functions', 'working-with-data', 'data-scientific-python']
+            },
+            {
+                id: 'automation',
+                title: 'Scripting & automation',
+                description: 'Command-line tools and scripts that automate everyday work.',
+                chapters: ['welcome', 'setup', 'strings', 'context-managers', 'cli-project', 'cli-automation']
+            }
+        ];
+        this.pathChapters = this.chapters; // Chapters of the chosen learning path, used for next/previous
+        
+        // Colour themes offered in the Appearance panel, each with a Prism stylesheet
+        // that suits its background. "system" shows light or dark to match the OS.
+        this.themes = {
+            system: { label: 'Match system' },
+            light: { label: 'Light', prism: 'prism' },
+            dark: { label: 'Dark', prism: 'prism-tomorrow', dark: true },
+            'high-contrast': { label: 'High contrast', prism: 'prism-okaidia', dark: true },
+            sepia: { label: 'Sepia', prism: 'prism-solarizedlight' }
+        };
+        this.prismThemeUrl = 'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/themes/';
+        this.systemDarkScheme = null; // MediaQueryList for the OS dark mode setting
+        
+        // Reader typography, applied to the CSS custom property of each setting.
+        // The defaults match the values in style.css.
+        this.typographySettings = {
+            fontSize: {
+                property: '--reader-font-size',
+                defaultChoice: 'medium',
+                choices: {
+                    small: { label: 'Small', value: '14px' },
+                    medium: { label: 'Medium', value: '16px' },
+                    large: { label: 'Large', value: '18px' },
+                    'extra-large': { label: 'Extra large', value: '20px' }
+                }
+            },
+            lineWidth: {
+                property: '--reader-line-width',
+                defaultChoice: 'standard',
+                choices: {
+                    narrow: { label: 'Narrow', value: '640px' },
+                    standard: { label: 'Standard', value: '800px' },
+                    wide: { label: 'Wide', value: '960px' },
+                    full: { label: 'Full width', value: 'none' }
+                }
+            },
+            fontFamily: {
+                property: '--reader-font-family',
+                defaultChoice: 'sans',
+                choices: {
+                    sans: { label: 'Sans-serif', value: 'var(--font-family-base)' },
+                    serif: { label: 'Serif', value: 'Charter, "Iowan Old Style", Georgia, Cambria, "Times New Roman", serif' },
+                    system: { label: 'System', value: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif' }
+                }
+            }
+        };
+        
+        // Keyboard shortcuts, listed in the "?" overlay in this order. Keys are
+        // KeyboardEvent.key values, prefixed with Alt+ (and Shift+ for named keys).
+        // Readers can rebind them; their changes are saved as overrides.
+        this.shortcutActions = [
+            { id: 'next-section', group: 'Navigation', description: 'Next section', defaultKey: 'j', run: () => this.navigateToAdjacentSection(1) },
+            { id: 'previous-section', group: 'Navigation', description: 'Previous section', defaultKey: 'k', run: () => this.navigateToAdjacentSection(-1) },
+            { id: 'next-chapter', group: 'Navigation', description: 'Next chapter', defaultKey: 'Alt+ArrowRight', run: () => this.navigateToNextChapter() },
+            { id: 'previous-chapter', group: 'Navigation', description: 'Previous chapter', defaultKey: 'Alt+ArrowLeft', run: () => this.navigateToPreviousChapter() },
+            { id: 'search', group: 'Navigation', description: 'Search', defaultKey: '/', run: () => this.openSearch() },
+            { id: 'bookmarks', group: 'Navigation', description: 'Go to bookmarks', defaultKey: 'b', run: () => this.focusBookmarksPanel() },
+            { id: 'mark-complete', group: 'Reading', description: 'Mark chapter complete or not complete', defaultKey: 'm', run: () => this.toggleCurrentChapterCompletion() },
+            { id: 'copy-code', group: 'Reading', description: 'Copy the focused code block', defaultKey: 'c', run: () => this.copyFocusedCodeBlock() },
+            { id: 'print', group: 'Reading', description: 'Print or export chapters', defaultKey: 'p', run: () => this.openPrintDialog() },
+            { id: 'toggle-theme', group: 'View', description: 'Switch light/dark theme', defaultKey: 't', run: () => this.toggleTheme() },
+            { id: 'toggle-sidebar', group: 'View', description: 'Show or hide the sidebar', defaultKey: 's', run: () => this.toggleSidebar() },
+            { id: 'help', group: 'View', description: 'Show keyboard shortcuts', defaultKey: '?', run: () => this.openShortcutsHelp() },
+            // Escape also works while typing, to close dialogs
+            { id: 'close', group: 'View', description: 'Close search or dialog', defaultKey: 'Escape', allowInInputs: true, run: () => this.closeDialogs() }
+        ];
+        this.shortcutsReturnFocus = null; // Element focused before the shortcuts overlay opened
+        this.recordingShortcut = null; // Stops the shortcuts overlay waiting for a new key
+        
+        // In-browser Python runtime for running code blocks, loaded on first use.
+        // Point pythonRuntimeUrl at a self-hosted copy of the Pyodide distribution to avoid the CDN.
+        this.pythonRuntimeUrl = 'https://cdn.jsdelivr.net/pyodide/v0.26.4/full/';
+        this.pythonTimeout = 10000; // Milliseconds a snippet may run before the interpreter is restarted
+        this.pythonLoadTimeout = 60000; // Milliseconds the runtime may take to load before giving up
+        this.pythonWorker = null;
+        this.pythonWorkerReady = null;
+        this.pythonRun = null; // The snippet currently executing
+        this.pythonRunId = 0;
+        this.pythonQueue = Promise.resolve(); // Snippets run one at a time, in click order
+        
+        this.searchReturnFocus = null; // Element focused before the search modal opened
+        this.printReturnFocus = null; // Element focused before the print dialog opened
+        this.printTitle = null; // Page title to restore once printing finishes
+        
+        // Full-text search index, built from the chapter Markdown on first search
+        this.searchIndex = null;
+        this.searchIndexPromise = null;
+        this.chapterSearchDocuments = null; // Kept so the index can be rebuilt quickly when notes change
+        
+        // Relative importance of each indexed field when ranking results
+        this.searchFieldWeights = {
+            title: 4,
+            heading: 3,
+            prose: 1,
+            code: 0.8
+        };
+        
+        // Score multiplier for terms matched by prefix rather than exactly
+        this.searchPrefixWeight = 0.5;
+        
+        // Offline support
+        this.serviceWorkerRegistration = null;
+        this.reloadOnControllerChange = false; // Set when the reader accepts an app update
+        
+        // Initialize the application
+        this.init();
+    }
+
+    /**
+     * Initialize the application
+     */
+    init() {
+        // Chapters can't be parsed until marked knows the handbook's extra syntax
+        this.registerMarkdownExtensions();
+        
+        // Build the sidebar from the chapter manifest before wiring up its links
+        this.renderSidebarNav();
+        
+        // Setup event handlers
+        this.setupLearningPaths();
+        this.setupTheme();
+        this.setupNavigation();
+        this.setupShortcuts();
+        this.setupSearch();
+        this.setupCodeCopy();
+        this.setupCodeRunner();
+        this.setupCodeEditing();
+        this.setupCodeComparisons();
+        this.setupQuizzes();
+        this.setupExercises();
+        this.setupProgressTracking();
+        this.setupProgressTransfer();
+        this.setupPrinting();
+        this.setupOfflineSupport();
+        this.setupChapterPrefetching();
+        this.setupBookmarks();
+        this.setupNotes();
+        this.setupMobileNavigation();
+        this.setupChapterCompletion();
+        this.setupReadingProgress();
+        
+        // Initialize progress
+        this.updateProgress();
+        
+        // Set initial active chapter and section from the URL,
+        // or resume where the learner left off when there is none
+        const route = this.setupRouting();
+        this.currentChapter = route.chapterId;
+        this.pendingSection = route.sectionId ? { sectionId: route.sectionId, options: {} } : null;
+        this.updateActiveNavLink(this.currentChapter);
+        this.loadAndShowChapter(this.currentChapter);
+        this.setupReadingPositionTracking();
+    }
+
+    /**
+     * Remember the current chapter and scroll position so the next visit can resume there
+     */
+    setupReadingPositionTracking() {
+        let saveTimeout;
+        window.addEventListener('scroll', () => {
+            clearTimeout(saveTimeout);
+            saveTimeout = setTimeout(() => this.saveReadingPosition(), 500);
+        }, { passive: true });
+        
+        // Catch the final position when the tab is closed or hidden
+        window.addEventListener('pagehide', () => this.saveReadingPosition());
+    }
+
+    /**
+     * Save the current chapter and scroll position
+     */
+    saveReadingPosition() {
+        this.storage.set('lastVisited', {
+            chapterId: this.currentChapter,
+            scrollY: Math.round(window.scrollY),
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Setup hash-based routing. URLs look like #/async for a chapter and
+     * #/async/tasks-and-futures for a section, so they work on static hosting.
+     * Returns the route to show first.
+     */
+    setupRouting() {
+        window.addEventListener('popstate', () => {
+            const route = this.parseRoute(location.hash) || { chapterId: 'welcome', sectionId: null };
+            this.navigateToChapter(route.chapterId, route.sectionId, { fromHistory: true });
+        });
+        
+        let route = this.parseRoute(location.hash);
+        if (!route) {
+            const lastVisited = this.storage.get('lastVisited');
+            const resumeChapter = lastVisited && this.chapterMap[lastVisited.chapterId] ? lastVisited.chapterId : this.currentChapter;
+            route = { chapterId: resumeChapter, sectionId: null };
+            
+            // Restore the scroll position once the chapter has rendered
+            if (location.hash === '' && lastVisited && lastVisited.chapterId === resumeChapter) {
+                this.pendingScrollY = lastVisited.scrollY;
+            }
+        }
+        
+        // Normalise legacy or unknown hashes to the canonical form
+        history.replaceState(null, '', this.buildRoute(route.chapterId, route.sectionId));
+        return route;
+    }
+
+    /**
+     * Parse a location hash into a chapter and section ID.
+     * Accepts the legacy #chapter form used by older links.
+     */
+    parseRoute(hash) {
+        let path;
+        try {
+            path = decodeURIComponent(hash.replace(/^#\/?/, ''));
+        } catch (error) {
+            // A malformed escape such as "%E0%A4%A" can't name a chapter
+            return null;
+        }
+        
+        const [chapterId, sectionSlug] = path.split('/');
+        if (!this.chapterMap[chapterId]) return null;
+        
+        return {
+            chapterId,
+            sectionId: sectionSlug ? `${chapterId}-${sectionSlug}` : null
+        };
+    }
+
+    /**
+     * Build the location hash for a chapter and optional section
+     */
+    buildRoute(chapterId, sectionId = null) {
+        const prefix = `${chapterId}-`;
+        const sectionSlug = sectionId && sectionId.startsWith(prefix) ? sectionId.slice(prefix.length) : null;
+        return sectionSlug ? `#/${chapterId}/${sectionSlug}` : `#/${chapterId}`;
+    }
+
+    /**
+     * Reflect the current chapter and section in the URL.
+     * New navigations add a history entry; scrolling within a chapter replaces it.
+     */
+    updateRoute(chapterId, sectionId = null, { replace = false } = {}) {
+        const hash = this.buildRoute(chapterId, sectionId);
+        if (hash === location.hash) return;
+        
+        if (replace) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+
+    /**
+     * Render the sidebar chapter list, grouped by part, from the chapter manifest
+     */
+    renderSidebarNav() {
+        const sidebarNav = document.getElementById('sidebarNav');
+        if (!sidebarNav) return;
+        
+        sidebarNav.innerHTML = this.chapterManifest.map(({ part, chapters }) => `
+            <div class="nav-section">
+                <h3>${this.escapeHtml(part)}</h3>
+                <ul>
+                    ${chapters.map(chapter => `
+                        <li>
+                            <a href="${this.buildRoute(chapter.id)}" class="nav-link" data-chapter="${chapter.id}">
+                                <span class="nav-link-title">${this.escapeHtml(chapter.title)}</span>
+                                <span class="nav-reading-time" title="Estimated reading time">${chapter.readingTime} min</span>
+                            </a>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Fill the learning path picker and apply the saved path
+     */
+    setupLearningPaths() {
+        const picker = document.getElementById('learningPath');
+        if (picker) {
+            picker.insertAdjacentHTML('beforeend', this.learningPaths.map(path =>
+                `<option value="${path.id}">${this.escapeHtml(path.title)}</option>`
+            ).join(''));
+            picker.addEventListener('change', () => this.setLearningPath(picker.value || null));
+        }
+        
+        // Prerequisite warnings link to the chapters they name
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('.prerequisite-link');
+            if (link) {
+                e.preventDefault();
+                this.navigateToChapter(link.dataset.chapter);
+            } else if (e.target.closest('.prerequisite-dismiss')) {
+                e.target.closest('.prerequisite-warning').remove();
+            }
+        });
+        
+        this.applyLearningPath();
+    }
+
+    /**
+     * Chapter IDs of a learning path in reading order, including every chapter
+     * its chapters depend on. Unknown paths give every chapter.
+     */
+    getLearningPathChapters(pathId) {
+        const path = this.learningPaths.find(item => item.id === pathId);
+        if (!path) return this.chapters;
+        
+        const included = new Set();
+        const include = chapterId => {
+            if (included.has(chapterId) || !this.chapterInfo[chapterId]) return;
+            included.add(chapterId);
+            (this.chapterInfo[chapterId].requires || []).forEach(include);
+        };
+        path.chapters.forEach(include);
+        
+        return this.chapters.filter(chapterId => included.has(chapterId));
+    }
+
+    /**
+     * Switch to a learning path, or back to every chapter with null
+     */
+    setLearningPath(pathId) {
+        this.storage.set('learningPath', pathId);
+        this.applyLearningPath();
+    }
+
+    /**
+     * Show only the chosen path's chapters in the sidebar and follow it with next/previous
+     */
+    applyLearningPath() {
+        const pathId = this.storage.get('learningPath');
+        const path = this.learningPaths.find(item => item.id === pathId);
+        this.pathChapters = this.getLearningPathChapters(pathId);
+        
+        const picker = document.getElementById('learningPath');
+        if (picker) {
+            picker.value = path ? path.id : '';
+        }
+        const description = document.getElementById('learningPathDescription');
+        if (description) {
+            description.textContent = path ? path.description : '';
+        }
+        
+        const visible = new Set(this.pathChapters);
+        document.querySelectorAll('#sidebarNav .nav-section').forEach(section => {
+            let anyVisible = false;
+            section.querySelectorAll('.nav-link').forEach(link => {
+                const inPath = visible.has(link.dataset.chapter);
+                link.closest('li').hidden = !inPath;
+                anyVisible = anyVisible || inPath;
+            });
+            section.hidden = !anyVisible;
+        });
+        
+        const container = document.getElementById(this.currentChapter);
+        if (container?.querySelector('.chapter-navigation')) {
+            this.renderChapterNavigation(this.currentChapter, container);
+        }
+        
+        this.updateProgress();
+    }
+
+    /**
+     * Direct prerequisites of a chapter that haven't been completed yet
+     */
+    getMissingPrerequisites(chapterId) {
+        return (this.chapterInfo[chapterId]?.requires || []).filter(required => !this.completedChapters.has(required));
+    }
+
+    /**
+     * Warn at the top of a chapter when the chapters it builds on aren't complete
+     */
+    showPrerequisiteWarning(chapterId, container) {
+        container.querySelector('.prerequisite-warning')?.remove();
+        
+        const missing = this.getMissingPrerequisites(chapterId);
+        if (missing.length === 0) return;
+        
+        const links = missing.map(required =>
+            `<a href="${this.buildRoute(required)}" class="prerequisite-link" data-chapter="${required}">${this.escapeHtml(this.chapterInfo[required].title)}</a>`
+        );
+        const list = links.length > 1 ? `${links.slice(0, -1).join(', ')} and ${links[links.length - 1]}` : links[0];
+        
+        const warning = document.createElement('div');
+        warning.className = 'prerequisite-warning';
+        warning.setAttribute('role', 'note');
+        warning.innerHTML = `
+            <p>This chapter builds on ${list}, which you haven't completed yet. You may want to read ${missing.length > 1 ? 'them' : 'it'} first.</p>
+            <button type="button" class="prerequisite-dismiss" aria-label="Dismiss">&times;</button>
+        `;
+        container.prepend(warning);
+    }
+
+    /**
+     * Colour themes and reader typography from the Appearance panel.
+     * The "system" theme follows the OS setting as it changes.
+     */
+    setupTheme() {
+        const themeToggle = document.getElementById('themeToggle');
+        const themePicker = document.getElementById('themePicker');
+        
+        if (themePicker) {
+            themePicker.innerHTML = Object.entries(this.themes).map(([themeId, theme]) =>
+                `<option value="${themeId}">${this.escapeHtml(theme.label)}</option>`
+            ).join('');
+            themePicker.addEventListener('change', () => this.setTheme(themePicker.value));
+        }
+        
+        Object.entries(this.typographySettings).forEach(([name, setting]) => {
+            const picker = document.querySelector(`.typography-picker[data-setting="${name}"]`);
+            if (!picker) return;
+            
+            picker.innerHTML = Object.entries(setting.choices).map(([choiceId, choice]) =>
+                `<option value="${choiceId}">${this.escapeHtml(choice.label)}</option>`
+            ).join('');
+            picker.addEventListener('change', () => this.setTypography(name, picker.value));
+        });
+        
+        if (window.matchMedia) {
+            this.systemDarkScheme = window.matchMedia('(prefers-color-scheme: dark)');
+            this.systemDarkScheme.addEventListener('change', () => {
+                if (this.getThemePreference() === 'system') {
+                    this.applyTheme({ animate: true });
+                }
+            });
+        }
+        
+        themeToggle.addEventListener('click', () => this.toggleTheme());
+        
+        this.applyTheme();
+        this.applyTypography();
+    }
+
+    /**
+     * Switch between light and dark mode, starting from whichever theme is showing
+     */
+    toggleTheme() {
+        this.setTheme(this.themes[this.getResolvedTheme()].dark ? 'light' : 'dark');
+    }
+
+    /**
+     * Save and show a theme from `themes`
+     */
+    setTheme(theme) {
+        this.saveThemePreference(theme);
+        this.applyTheme({ animate: true });
+    }
+
+    /**
+     * Show the current theme on the page, in code blocks and in the theme picker
+     */
+    applyTheme({ animate = false } = {}) {
+        const html = document.documentElement;
+        const theme = this.getResolvedTheme();
+        
+        html.setAttribute('data-color-scheme', theme);
+        
+        const prismTheme = document.getElementById('prismTheme');
+        const prismUrl = `${this.prismThemeUrl}${this.themes[theme].prism}.min.css`;
+        if (prismTheme && prismTheme.href !== prismUrl) {
+            prismTheme.href = prismUrl;
+        }
+        
+        const themePicker = document.getElementById('themePicker');
+        if (themePicker) {
+            themePicker.value = this.getThemePreference();
+        }
+        
+        if (animate) {
+            // Add smooth transition effect
+            html.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+            setTimeout(() => {
+                html.style.transition = '';
+            }, 300);
+        }
+    }
+
+    /**
+     * Get user's theme preference, or 'system' to follow the OS setting
+     */
+    getThemePreference() {
+        const savedTheme = this.storage.get('theme');
+        return this.themes[savedTheme] ? savedTheme : 'system';
+    }
+
+    /**
+     * The theme to show, with 'system' resolved to light or dark
+     */
+    getResolvedTheme() {
+        const theme = this.getThemePreference();
+        if (theme !== 'system') return theme;
+        
+        return this.systemDarkScheme && this.systemDarkScheme.matches ? 'dark' : 'light';
+    }
+
+    /**
+     * Save user's theme preference
+     */
+    saveThemePreference(theme) {
+        this.storage.set('theme', theme === 'system' ? null : theme);
+    }
+
+    /**
+     * The chosen option for each typography setting, with defaults filled in
+     */
+    getTypography() {
+        const saved = this.storage.get('typography');
+        const typography = {};
+        
+        for (const [name, setting] of Object.entries(this.typographySettings)) {
+            typography[name] = setting.choices[saved[name]] ? saved[name] : setting.defaultChoice;
+        }
+        return typography;
+    }
+
+    /**
+     * Save one typography setting. Defaults aren't stored, so they can change later.
+     */
+    setTypography(name, choice) {
+        const typography = { ...this.storage.get('typography'), [name]: choice };
+        if (choice === this.typographySettings[name].defaultChoice) {
+            delete typography[name];
+        }
+        
+        this.storage.set('typography', typography);
+        this.applyTypography();
+    }
+
+    /**
+     * Set the reader CSS custom properties and pickers from the saved typography
+     */
+    applyTypography() {
+        const html = document.documentElement;
+        
+        Object.entries(this.getTypography()).forEach(([name, choice]) => {
+            const setting = this.typographySettings[name];
+            html.style.setProperty(setting.property, setting.choices[choice].value);
+            
+            const picker = document.querySelector(`.typography-picker[data-setting="${name}"]`);
+            if (picker) {
+                picker.value = choice;
+            }
+        });
+    }
+
+    /**
+     * Setup chapter navigation using links and buttons
+     */
+    setupNavigation() {
+        const navLinks = document.querySelectorAll('.nav-link');
+        const nextButtons = document.querySelectorAll('.next-chapter');
+        const prevButtons = document.querySelectorAll('.prev-chapter');
+        
+        // Handle nav link clicks
+        navLinks.forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const chapter = link.dataset.chapter;
+                this.navigateToChapter(chapter);
+            });
+        });
+        
+        // Handle "On this page" links, which are re-rendered for every chapter
+        document.getElementById('chapterToc')?.addEventListener('click', (e) => {
+            const tocLink = e.target.closest('.chapter-toc-link');
+            if (tocLink) {
+                e.preventDefault();
+                this.navigateToChapter(this.currentChapter, tocLink.dataset.section);
+            }
+        });
+        
+        // Handle next/previous buttons
+        nextButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                const nextChapter = button.dataset.next;
+                this.navigateToChapter(nextChapter);
+            });
+        });
+        
+        prevButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                const prevChapter = button.dataset.prev;
+                this.navigateToChapter(prevChapter);
+            });
+        });
+    }
+
+    /**
+     * Run shortcuts from the registry and wire up the "?" overlay, where keys can be rebound
+     */
+    setupShortcuts() {
+        const overlay = document.getElementById('shortcutsOverlay');
+        
+        document.addEventListener('keydown', (e) => {
+            // Leave browser and system shortcuts alone
+            if (e.ctrlKey || e.metaKey || e.defaultPrevented) return;
+            if (this.recordingShortcut) return;
+            
+            const key = this.getKeyCombo(e);
+            const action = key && this.shortcutActions.find(item => this.getShortcutKey(item) === key);
+            if (!action) return;
+            
+            const typing = e.target.closest?.('input, textarea, select, [contenteditable="true"]');
+            if (typing && !action.allowInInputs) return;
+            
+            // Only closing works over a dialog, and help over the shortcuts overlay
+            const openDialog = document.querySelector('.shortcuts-overlay:not(.hidden), #searchModal:not(.hidden)');
+            if (openDialog && action.id !== 'close' && !(openDialog === overlay && action.id === 'help')) return;
+            
+            e.preventDefault();
+            action.run();
+        });
+        
+        if (!overlay) return;
+        
+        document.getElementById('shortcutsBtn')?.addEventListener('click', () => this.openShortcutsHelp());
+        
+        overlay.addEventListener('click', (e) => {
+            const keyButton = e.target.closest('.shortcut-key');
+            if (e.target === overlay || e.target.closest('.shortcuts-close')) {
+                this.closeShortcutsHelp();
+            } else if (keyButton) {
+                this.startShortcutRecording(keyButton);
+            } else if (e.target.closest('.shortcuts-reset')) {
+                this.storage.set('shortcuts', {});
+                this.renderShortcutsHelp('Shortcuts reset to their defaults.');
+            }
+        });
+        
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') {
+                this.trapFocus(overlay.querySelector('.shortcuts-dialog'), e);
+            }
+        });
+    }
+
+    /**
+     * The key bound to a shortcut action, or '' when the reader turned it off
+     */
+    getShortcutKey(action) {
+        const overrides = this.storage.get('shortcuts');
+        if (!Object.prototype.hasOwnProperty.call(overrides, action.id)) return action.defaultKey;
+        
+        // Bindings saved before reserved keys were refused fall back to the default
+        const key = overrides[action.id];
+        return key && this.isReservedShortcutKey(key) ? action.defaultKey : key;
+    }
+
+    /**
+     * Keys the browser needs for activating links and buttons and moving
+     * around: Enter, Space and Tab, and the arrow keys unless Alt is held
+     */
+    isReservedShortcutKey(key) {
+        const parts = key.split(/\+(?=.)/);
+        const baseKey = parts[parts.length - 1];
+        
+        if (['Enter', 'Space', 'Tab'].includes(baseKey)) return true;
+        return baseKey.startsWith('Arrow') && !parts.includes('Alt');
+    }
+
+    /**
+     * Describe a key press the way shortcuts are stored, e.g. "j", "?" or "Alt+ArrowRight".
+     * Shift is only named for keys like arrows, since it already changes printed characters.
+     * Returns null for a lone modifier key.
+     */
+    getKeyCombo(e) {
+        if (['Shift', 'Alt', 'Control', 'Meta', 'AltGraph', 'CapsLock'].includes(e.key)) return null;
+        
+        const named = e.key.length > 1;
+        const parts = [];
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey && named) parts.push('Shift');
+        parts.push(e.key === ' ' ? 'Space' : e.key);
+        return parts.join('+');
+    }
+
+    /**
+     * Render a stored key as <kbd> elements for display
+     */
+    formatShortcut(key) {
+        if (!key) return '<span class="shortcut-none">Not set</span>';
+        
+        const names = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc' };
+        return key.split(/\+(?=.)/)
+            .map(part => `<kbd>${this.escapeHtml(names[part] || part)}</kbd>`)
+            .join(' + ');
+    }
+
+    /**
+     * Show the shortcuts overlay
+     */
+    openShortcutsHelp() {
+        const overlay = document.getElementById('shortcutsOverlay');
+        if (!overlay || !overlay.classList.contains('hidden')) return;
+        
+        this.shortcutsReturnFocus = document.activeElement;
+        this.renderShortcutsHelp();
+        overlay.classList.remove('hidden');
+        overlay.querySelector('.shortcuts-close').focus();
+    }
+
+    /**
+     * Hide the shortcuts overlay and give focus back to where it was
+     */
+    closeShortcutsHelp() {
+        const overlay = document.getElementById('shortcutsOverlay');
+        if (!overlay || overlay.classList.contains('hidden')) return;
+        
+        this.recordingShortcut?.();
+        overlay.classList.add('hidden');
+        
+        const returnFocus = this.shortcutsReturnFocus;
+        this.shortcutsReturnFocus = null;
+        if (returnFocus?.isConnected && returnFocus !== document.body) {
+            returnFocus.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Close whichever dialog is open: the shortcuts overlay, the print dialog, else the search
+     */
+    closeDialogs() {
+        const overlay = document.getElementById('shortcutsOverlay');
+        const printOverlay = document.getElementById('printOverlay');
+        if (overlay && !overlay.classList.contains('hidden')) {
+            this.closeShortcutsHelp();
+        } else if (printOverlay && !printOverlay.classList.contains('hidden')) {
+            this.closePrintDialog();
+        } else {
+            this.closeSearch();
+        }
+    }
+
+    /**
+     * List every shortcut with a button to rebind it, grouped as in the registry
+     */
+    renderShortcutsHelp(message = '') {
+        const list = document.getElementById('shortcutsList');
+        if (!list) return;
+        
+        const groups = [...new Set(this.shortcutActions.map(action => action.group))];
+        list.innerHTML = groups.map(group => `
+            <tr><th colspan="2" scope="colgroup">${this.escapeHtml(group)}</th></tr>
+            ${this.shortcutActions.filter(action => action.group === group).map(action => `
+                <tr>
+                    <td>${this.escapeHtml(action.description)}</td>
+                    <td>
+                        <button type="button" class="shortcut-key" data-action="${action.id}" aria-label="${this.escapeHtml(action.description)}: ${this.escapeHtml(this.getShortcutKey(action) || 'not set')}. Press to change">
+                            ${this.formatShortcut(this.getShortcutKey(action))}
+                        </button>
+                    </td>
+                </tr>
+            `).join('')}
+        `).join('');
+        
+        document.getElementById('shortcutsStatus').textContent = message;
+    }
+
+    /**
+     * Wait for the next key press and bind it to a shortcut.
+     * Escape cancels and Backspace turns the shortcut off.
+     */
+    startShortcutRecording(button) {
+        const action = this.shortcutActions.find(item => item.id === button.dataset.action);
+        if (!action) return;
+        
+        // Only one shortcut is rebound at a time
+        if (this.recordingShortcut) {
+            this.recordingShortcut();
+            this.renderShortcutsHelp();
+            button = document.querySelector(`.shortcut-key[data-action="${action.id}"]`);
+        }
+        
+        button.classList.add('recording');
+        button.textContent = 'Press a key…';
+        
+        const onKeydown = (e) => {
+            if (e.key === 'Tab') {
+                // Moving focus away cancels
+                stop();
+                this.renderShortcutsHelp();
+                document.querySelector(`.shortcut-key[data-action="${action.id}"]`)?.focus();
+                return;
+            }
+            if (e.ctrlKey || e.metaKey) return;
+            
+            const key = this.getKeyCombo(e);
+            if (!key) return;
+            e.preventDefault();
+            e.stopPropagation();
+            
+            // Keep waiting for a key that doesn't take over links and buttons
+            if (this.isReservedShortcutKey(key)) {
+                const name = key.replace(/\+/g, ' + ').replace(/Arrow/g, 'Arrow ');
+                document.getElementById('shortcutsStatus').textContent =
+                    `${name} is needed for using links, buttons and scrolling, so it can't be a shortcut. Try another key.`;
+                return;
+            }
+            stop();
+            
+            if (key === 'Escape') {
+                this.renderShortcutsHelp();
+            } else {
+                this.setShortcutKey(action, key === 'Backspace' ? '' : key);
+            }
+            document.querySelector(`.shortcut-key[data-action="${action.id}"]`)?.focus();
+        };
+        const stop = () => {
+            this.recordingShortcut = null;
+            document.removeEventListener('keydown', onKeydown, true);
+        };
+        
+        // Capture so the key isn't also treated as a shortcut
+        document.addEventListener('keydown', onKeydown, true);
+        this.recordingShortcut = stop;
+    }
+
+    /**
+     * Bind a key to a shortcut, taking it away from any other shortcut that used it
+     */
+    setShortcutKey(action, key) {
+        const taken = key && this.shortcutActions.find(item => item !== action && this.getShortcutKey(item) === key);
+        
+        this.storage.update('shortcuts', overrides => {
+            const updated = { ...overrides, [action.id]: key };
+            if (taken) updated[taken.id] = '';
+            
+            // Only keep bindings that differ from the defaults
+            this.shortcutActions.forEach(item => {
+                if (updated[item.id] === item.defaultKey) delete updated[item.id];
+            });
+            return updated;
+        });
+        
+        this.renderShortcutsHelp(taken ? `"${taken.description}" no longer has a shortcut.` : '');
+    }
+
+    /**
+     * Scroll to the next (1) or previous (-1) section heading of the open chapter.
+     * Going back from the middle of a section returns to its start first.
+     */
+    navigateToAdjacentSection(direction) {
+        const container = document.getElementById(this.currentChapter);
+        if (!container) return;
+        
+        const headings = Array.from(container.querySelectorAll('.chapter-content h2[id], .chapter-content h3[id]'));
+        
+        // Same rule as the "On this page" highlight: the last heading scrolled past the header
+        let current = -1;
+        headings.forEach((heading, i) => {
+            if (heading.getBoundingClientRect().top <= 100) current = i;
+        });
+        
+        let target;
+        if (direction > 0) {
+            target = headings[current + 1];
+        } else if (current >= 0 && headings[current].getBoundingClientRect().top < 60) {
+            // Revealed headings sit 80px down (scroll-margin-top), so this one is scrolled past
+            target = headings[current];
+        } else {
+            target = headings[current - 1];
+        }
+        
+        if (target) {
+            this.navigateToChapter(this.currentChapter, target.id);
+        } else if (direction < 0) {
+            this.scrollToTop();
+        }
+    }
+
+    /**
+     * Tick or untick the open chapter's completion checkbox, unless it is locked
+     */
+    toggleCurrentChapterCompletion() {
+        const checkbox = document.querySelector(`#${this.currentChapter} .chapter-checkbox`);
+        if (checkbox && !checkbox.disabled) {
+            checkbox.click();
+        }
+    }
+
+    /**
+     * Copy the code block that has focus, or else the one under the pointer
+     */
+    copyFocusedCodeBlock() {
+        const wrapper = document.activeElement?.closest('.code-block-wrapper')
+            || document.querySelector(`#${this.currentChapter} .code-block-wrapper:hover`);
+        wrapper?.querySelector('.copy-btn')?.click();
+    }
+
+    /**
+     * Reveal the Bookmarks panel and move focus to it
+     */
+    focusBookmarksPanel() {
+        const panel = document.getElementById('bookmarksPanel');
+        if (!panel) return;
+        
+        this.toggleSidebar(true);
+        panel.open = true;
+        panel.scrollIntoView({ block: 'nearest' });
+        panel.querySelector('summary').focus({ preventScroll: true });
+    }
+
+    /**
+     * Navigate to a specific chapter, optionally scrolling to one of its sections.
+     * Pass { fromHistory: true } when responding to back/forward navigation.
+     */
+    navigateToChapter(chapterId, sectionId = null, options = {}) {
+        if (!chapterId) return;
+        sectionId = sectionId ? sectionId.replace(/^#/, '') : null;
+        
+        if (!options.fromHistory) {
+            this.updateRoute(chapterId, sectionId);
+        }
+        
+        const sameChapter = chapterId === this.currentChapter;
+        const container = document.getElementById(chapterId);
+        const rendered = container && container.querySelector('.chapter-content') && !container.querySelector('.loading-container');
+        
+        if (!sameChapter) {
+            this.currentChapter = chapterId;
+            
+            // Remember the section so displayChapterContent can reveal it once rendered
+            this.pendingSection = sectionId ? { sectionId, options } : null;
+            this.pendingScrollY = null;
+            this.loadAndShowChapter(chapterId);
+            this.updateActiveNavLink(chapterId);
+            
+            if (!sectionId) {
+                this.scrollToTop();
+            }
+        } else if (sectionId) {
+            if (rendered) {
+                // If already on the same chapter, just scroll to the section
+                this.scrollToSection(sectionId, options);
+            } else {
+                this.pendingSection = { sectionId, options };
+            }
+        } else {
+            this.scrollToTop();
+        }
+    }
+    
+    /**
+     * Scroll to a specific section within the current chapter.
+     * Pass { flash: true } to briefly highlight the heading once it is reached.
+     */
+    scrollToSection(sectionId, { flash = false } = {}) {
+        if (!sectionId) return;
+        
+        const sectionElement = document.getElementById(sectionId.replace(/^#/, ''));
+        if (!sectionElement) return;
+        
+        sectionElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.updateActiveSectionLink(sectionElement.id);
+        
+        if (flash) {
+            // Restart the animation if the same heading is revealed twice in a row
+            sectionElement.classList.remove('heading-flash');
+            void sectionElement.offsetWidth;
+            sectionElement.classList.add('heading-flash');
+            setTimeout(() => sectionElement.classList.remove('heading-flash'), 2000);
+        }
+    }
+    
+    /**
+     * Update the active section link in the "On this page" table of contents
+     */
+    updateActiveSectionLink(sectionId) {
+        document.querySelectorAll('.chapter-toc-link').forEach(link => {
+            link.classList.toggle('section-active', link.dataset.section === sectionId);
+        });
+    }
+
+    /**
+     * Navigate to the next chapter in sequence
+     */
+    navigateToNextChapter() {
+        const { next } = this.getAdjacentChapters(this.currentChapter);
+        if (next) {
+            this.navigateToChapter(next);
+        }
+    }
+
+    /**
+     * Navigate to the previous chapter in sequence
+     */
+    navigateToPreviousChapter() {
+        const { prev } = this.getAdjacentChapters(this.currentChapter);
+        if (prev) {
+            this.navigateToChapter(prev);
+        }
+    }
+
+    /**
+     * Get the chapters before and after one in the chosen learning path.
+     * A chapter outside the path (opened from search, say) steps to the
+     * nearest path chapters in reading order.
+     */
+    getAdjacentChapters(chapterId) {
+        const chapters = this.pathChapters;
+        const index = chapters.indexOf(chapterId);
+        if (index !== -1) {
+            return { prev: chapters[index - 1] || null, next: chapters[index + 1] || null };
+        }
+        
+        const order = this.chapterInfo[chapterId].order;
+        return {
+            prev: chapters.filter(id => this.chapterInfo[id].order < order).pop() || null,
+            next: chapters.find(id => this.chapterInfo[id].order > order) || null
+        };
+    }
+
+    /**
+     * Update active state of navigation links
+     */
+    updateActiveNavLink(chapterId) {
+        // Remove active class from all nav links
+        document.querySelectorAll('.nav-link').forEach(link => {
+            link.classList.remove('active');
+        });
+        
+        // Add active class to current nav link
+        const activeLink = document.querySelector(`.nav-link[data-chapter="${chapterId}"]`);
+        if (activeLink) {
+            activeLink.classList.add('active');
+        }
+    }
+
+    /**
+     * Scroll to the top of the content area
+     */
+    scrollToTop() {
+        const mainContent = document.querySelector('.main-content');
+        if (mainContent) {
+            mainContent.scrollTop = 0;
+        }
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    /**
+     * Load and display a chapter's content from Markdown file.
+     * A saved copy is shown straight away and revalidated in the background;
+     * otherwise the chapter is fetched, cancelling any load it supersedes.
+     */
+    async loadAndShowChapter(chapterId) {
+        // A slower load for a chapter we've since left must not overwrite this one
+        if (this.chapterLoadController) {
+            this.chapterLoadController.abort();
+        }
+        
+        // Check if we already have this chapter loaded in cache
+        if (this.cachedChapters.has(chapterId)) {
+            this.displayChapterContent(chapterId, this.cachedChapters.get(chapterId));
+            return;
+        }
+        
+        const path = this.getChapterPath(chapterId);
+        const saved = path && this.chapterLoader.getCached(path);
+        const controller = new AbortController();
+        this.chapterLoadController = controller;
+        
+        if (saved) {
+            this.showChapterMarkdown(chapterId, saved.markdown);
+            try {
+                await this.revalidateChapter(chapterId, controller.signal);
+            } finally {
+                if (this.chapterLoadController === controller) {
+                    this.chapterLoadController = null;
+                }
+            }
+            return;
+        }
+        
+        // Show loading indicator
+        this.showLoadingIndicator(chapterId);
+        
+        try {
+            const markdown = await this.fetchChapterMarkdown(chapterId, { signal: controller.signal, fresh: true });
+            if (this.currentChapter === chapterId) {
+                this.showChapterMarkdown(chapterId, markdown);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            
+            console.error(`Error loading chapter ${chapterId}:`, error);
+            if (this.currentChapter === chapterId) {
+                this.showChapterError(chapterId, error);
+            }
+        } finally {
+            if (this.chapterLoadController === controller) {
+                this.chapterLoadController = null;
+            }
+        }
+    }
+
+    /**
+     * Render a chapter's Markdown, cache the HTML and display it
+     */
+    showChapterMarkdown(chapterId, markdown) {
+        const html = this.convertMarkdownToHtml(markdown, chapterId);
+        this.cachedChapters.set(chapterId, html);
+        this.displayChapterContent(chapterId, html);
+    }
+
+    /**
+     * Check a chapter shown from its saved copy against the server, and offer
+     * the newer version if it has changed
+     */
+    async revalidateChapter(chapterId, signal) {
+        try {
+            const { changed } = await this.chapterLoader.fetch(this.getChapterPath(chapterId), { signal });
+            if (changed) {
+                this.handleChapterUpdate(chapterId);
+            }
+        } catch (error) {
+            // Offline or cancelled: the saved copy is still good to read
+        }
+    }
+
+    /**
+     * Show why a chapter couldn't be loaded, with a button to try again
+     */
+    showChapterError(chapterId, error) {
+        const messages = {
+            offline: "You're offline and this chapter hasn't been saved for offline reading yet.",
+            timeout: 'The server took too long to respond.',
+            'not-found': "This chapter couldn't be found."
+        };
+        const message = messages[error.reason] || 'Something went wrong while loading the chapter.';
+        
+        const chapterContainer = this.showChapterContainer(chapterId);
+        chapterContainer.innerHTML = `
+            <div class="chapter-content chapter-error">
+                <h1>Error Loading Chapter</h1>
+                <p>${this.escapeHtml(message)}</p>
+                <button type="button" class="btn btn--primary chapter-retry">Retry</button>
+            </div>
+        `;
+        this.renderChapterToc(chapterContainer);
+        
+        chapterContainer.querySelector('.chapter-retry').addEventListener('click', () => {
+            if (this.currentChapter === chapterId) {
+                this.loadAndShowChapter(chapterId);
+            }
+        });
+    }
+    
+    /**
+     * Show loading indicator while chapter is loading
+     */
+    showLoadingIndicator(chapterId) {
+        const chapterContainer = this.showChapterContainer(chapterId);
+        
+        // Show loading indicator
+        chapterContainer.innerHTML = `
+            <div class="loading-container">
+                <div class="loading-spinner"></div>
+                <p>Loading chapter content...</p>
+            </div>
+        `;
+    }
+    
+    /**
+     * Get or create a chapter's container and make it the only visible chapter
+     */
+    showChapterContainer(chapterId) {
+        let chapterContainer = document.getElementById(chapterId);
+        
+        if (!chapterContainer) {
+            // Create a new container if it doesn't exist
+            chapterContainer = document.createElement('div');
+            chapterContainer.id = chapterId;
+            chapterContainer.className = 'chapter';
+            document.querySelector('.main-content').appendChild(chapterContainer);
+        }
+        
+        // Hide all other chapters, releasing their content. Revisits re-render
+        // from the chapter cache, so keeping it would only hold on to memory.
+        document.querySelectorAll('.chapter').forEach(chapter => {
+            if (chapter !== chapterContainer) {
+                chapter.classList.remove('active');
+                chapter.replaceChildren();
+            }
+        });
+        
+        chapterContainer.classList.add('active');
+        return chapterContainer;
+    }
+    
+    /**
+     * Display chapter content in the UI
+     */
+    displayChapterContent(chapterId, html) {
+        const chapterContainer = this.showChapterContainer(chapterId);
+        
+        // Update chapter content
+        chapterContainer.innerHTML = html;
+        
+        // Re-run syntax highlighting for the new chapter
+        if (window.Prism) {
             window.Prism.highlightAllUnder(chapterContainer);
         }
         
-        // Set up code copy buttons
-        this.setupCodeCopyForChapter(chapterContainer);
+        // Bring back code the learner edited before navigating away
+        this.restoreCodeEdits(chapterContainer);
+        
+        // Set up navigation buttons
+        this.setupChapterNavigation(chapterId, chapterContainer);
+        
+        // Point out chapters worth reading first
+        this.showPrerequisiteWarning(chapterId, chapterContainer);
+        
+        // Build the "On this page" table of contents
+        this.renderChapterToc(chapterContainer);
+        
+        // Add heading bookmark buttons and bring back highlights
+        this.setupChapterBookmarks(chapterId, chapterContainer);
+        
+        // Add note buttons and show the reader's notes below their headings
+        this.setupChapterNotes(chapterId, chapterContainer);
+        
+        // Start recording which sections get read
+        this.setupChapterReadingProgress(chapterId, chapterContainer);
+        
+        // Reveal a section requested before the chapter finished loading
+        if (this.pendingSection && chapterId === this.currentChapter) {
+            const { sectionId, options } = this.pendingSection;
+            this.pendingSection = null;
+            requestAnimationFrame(() => this.scrollToSection(sectionId, options));
+        } else if (this.pendingScrollY !== null && chapterId === this.currentChapter) {
+            const scrollY = this.pendingScrollY;
+            this.pendingScrollY = null;
+            requestAnimationFrame(() => window.scrollTo(0, scrollY));
+        } else {
+            this.updateSectionHighlightOnScroll();
+        }
+        
+        // Have the neighbouring chapters ready before the reader gets there
+        const { prev, next } = this.getAdjacentChapters(chapterId);
+        this.prefetchChapters([next, prev]);
+    }
+    
+    /**
+     * Set up next/previous navigation for a chapter
+     */
+    setupChapterNavigation(chapterId, container) {
+        this.renderChapterNavigation(chapterId, container);
+        
+        // Add completion checkbox
+        const footerDiv = document.createElement('div');
+        footerDiv.className = 'chapter-footer';
+        footerDiv.innerHTML = `
+            <label class="chapter-complete">
+                <input type="checkbox" class="chapter-checkbox" data-chapter="${chapterId}" ${this.completedChapters.has(chapterId) ? 'checked' : ''}>
+                <span>Mark as complete</span>
+            </label>
+        `;
+        container.appendChild(footerDiv);
+        
+        // Add event listener to the checkbox
+        const checkbox = footerDiv.querySelector('.chapter-checkbox');
+        checkbox.addEventListener('change', (e) => {
+            this.toggleChapterCompletion(chapterId, e.target.checked);
+        });
+        
+        // Add quiz score and lock completion behind required quizzes
+        this.updateQuizSummary(chapterId, container);
+        
+        // Open exercise editors and add the exercise score
+        this.setupChapterExercises(chapterId, container);
+    }
+    
+    /**
+     * Render a chapter's next/previous buttons
+     */
+    renderChapterNavigation(chapterId, container) {
+        // Follow the chosen learning path
+        const { prev: prevChapter, next: nextChapter } = this.getAdjacentChapters(chapterId);
+        
+        // Create navigation div if it doesn't exist
+        let navDiv = container.querySelector('.chapter-navigation');
+        if (!navDiv) {
+            navDiv = document.createElement('div');
+            navDiv.className = 'chapter-navigation';
+            container.appendChild(navDiv);
+        } else {
+            navDiv.innerHTML = ''; // Clear existing navigation
+        }
+        
+        // Add previous button if not the first chapter
+        if (prevChapter) {
+            const prevButton = document.createElement('button');
+            prevButton.className = 'btn btn--secondary prev-chapter';
+            prevButton.dataset.prev = prevChapter;
+            prevButton.innerHTML = `
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M19 12H5M12 19l-7-7 7-7"/>
+                </svg>
+                Previous
+            `;
+            prevButton.addEventListener('click', () => this.navigateToChapter(prevChapter));
+            navDiv.appendChild(prevButton);
+        }
+        
+        // Add next button if not the last chapter
+        if (nextChapter) {
+            const nextButton = document.createElement('button');
+            nextButton.className = 'btn btn--primary next-chapter';
+            nextButton.dataset.next = nextChapter;
+            nextButton.innerHTML = `
+                Next
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M5 12h14M12 5l7 7-7 7"/>
+                </svg>
+            `;
+            nextButton.addEventListener('click', () => this.navigateToChapter(nextChapter));
+            navDiv.appendChild(nextButton);
+        }
+    }
+
+    /**
+     * Convert markdown to HTML using marked.js
+     */
+    convertMarkdownToHtml(markdown, chapterId = this.currentChapter) {
+        // Configure marked.js renderer
+        const renderer = new marked.Renderer();
+        
+
+        // Give every h2/h3 a stable ID so sections can be linked to
+        const slugger = this.createHeadingSlugger(chapterId);
+        // `text` is rendered inline Markdown and may carry raw HTML; the
+        // sanitizer below cleans it along with the rest of the chapter
+        renderer.heading = (text, level, raw) => {
+            const id = level === 2 || level === 3 ? ` id="${slugger(raw)}"` : '';
+            return `<h${level}${id}>${text}</h${level}>`;
+        };
+        
+        // Customize code blocks to add language label and copy button.
+        // Blocks are numbered so edits can be matched to them after re-rendering.
+        let blockIndex = 0;
+        let quizIndex = 0;
+        let exerciseIndex = 0;
+        renderer.code = (code, language) => {
+            if (language === 'quiz') {
+                return this.renderQuiz(code, chapterId, quizIndex++);
+            }
+            if (language === 'exercise') {
+                return this.renderExercise(code, chapterId, exerciseIndex++, blockIndex++);
+            }
+            return this.renderCodeBlock(code, language, blockIndex++);
+        };
+        
+        // Use marked.js to convert markdown to HTML
+        marked.setOptions({
+            renderer: renderer,
+            gfm: true,
+            breaks: false,
+            pedantic: false,
+            smartLists: true,
+            smartypants: false
+        });
+        
+        // marked passes raw HTML through, so clean the result before it reaches the page.
+        // Ids are namespaced by chapter like the heading ids, so none can clash with the app's.
+        const html = marked.parse(markdown);
+        return this.sanitizer.sanitize(`<div class="chapter-content">${html}</div>`, { idPrefix: `${chapterId}-` });
+    }
+    
+    /**
+     * Teach marked the :::compare container used for side-by-side code:
+     *
+     *   :::compare
+     *   ```python
+     *   ...
+     *   ```
+     *
+     *   ```javascript
+     *   ...
+     *   ```
+     *   :::
+     *
+     * Write ":::compare tabs" to always show the blocks as tabs.
+     */
+    registerMarkdownExtensions() {
+        const handbook = this;
+        
+        marked.use({
+            extensions: [{
+                name: 'comparison',
+                level: 'block',
+                start(src) {
+                    return src.match(/^:::compare/m)?.index;
+                },
+                tokenizer(src) {
+                    const match = /^:::compare( +tabs)? *\n([\s\S]*?)\n:::[ \t]*(?:\n|$)/.exec(src);
+                    if (!match) return undefined;
+                    
+                    const token = { type: 'comparison', raw: match[0], tabs: Boolean(match[1]), tokens: [] };
+                    this.lexer.blockTokens(match[2], token.tokens);
+                    return token;
+                },
+                renderer(token) {
+                    return handbook.renderComparison(token, tokens => this.parser.parse(tokens));
+                }
+            }]
+        });
+    }
+
+    /**
+     * Render a :::compare container as a .code-comparison with one pane per
+     * code block. Panes sit side by side and collapse to tabs on narrow screens.
+     */
+    renderComparison(token, parse) {
+        const codeTokens = token.tokens.filter(child => child.type === 'code');
+        const otherTokens = token.tokens.filter(child => child.type !== 'code' && child.type !== 'space');
+        
+        const tabs = codeTokens.map((codeToken, i) => `
+            <button type="button" class="code-comparison-tab${i === 0 ? ' active' : ''}" role="tab" aria-selected="${i === 0}" data-pane="${i}">${this.escapeHtml(this.getLanguageName(codeToken.lang))}</button>
+        `).join('');
+        const panes = codeTokens.map((codeToken, i) => `
+            <div class="code-comparison-pane${i === 0 ? ' active' : ''}" role="tabpanel" data-pane="${i}">${parse([codeToken])}</div>
+        `).join('');
+        
+        return `<div class="code-comparison code-comparison--markdown${token.tabs ? ' code-comparison--tabs' : ''}">
+            <div class="code-comparison-tabs" role="tablist">${tabs}</div>
+            <div class="code-comparison-panes">${panes}</div>
+        </div>${otherTokens.length ? parse(otherTokens) : ''}`;
+    }
+
+    /**
+     * Display name for a code fence language, e.g. "javascript" -> "JavaScript"
+     */
+    getLanguageName(language) {
+        const names = { python: 'Python', py: 'Python', javascript: 'JavaScript', js: 'JavaScript', typescript: 'TypeScript', ts: 'TypeScript', bash: 'Shell', json: 'JSON', html: 'HTML', css: 'CSS', sql: 'SQL' };
+        if (!language) return 'Code';
+        return names[language] || language.charAt(0).toUpperCase() + language.slice(1);
+    }
+
+    /**
+     * Render a code block with its language label, Copy button and, for
+     * Python, the Edit and Run playground controls
+     */
+    renderCodeBlock(code, language, blockIndex) {
+        // The language comes from the fence's info string and ends up in attributes
+        language = /^[\w#+.-]+$/.test(language || '') ? language : '';
+        
+        const escapedCode = this.escapeHtml(code);
+        const languageClass = language ? ` class="language-${language}"` : '';
+        const copyButton = `<button class="copy-btn" data-code="${this.escapeHtml(code.trim())}">Copy</button>`;
+        const pythonButtons = language === 'python' ? `
+            <button class="restore-btn" type="button" hidden>Restore original</button>
+            <button class="edit-btn" type="button">Edit</button>
+            <button class="run-btn" type="button">Run</button>
+        ` : '';
+        
+        return `<div class="code-block-wrapper" data-block="${blockIndex}">
+            <div class="code-header">
+                ${language ? `<span class="code-language">${language}</span>` : ''}
+                <div class="code-actions">
+                    ${pythonButtons}
+                    ${copyButton}
+                </div>
+            </div>
+            <pre tabindex="0"><code${languageClass}>${escapedCode}</code></pre>
+        </div>`;
+    }
+    
+    /**
+     * Parse a ```quiz block. The format is one "key: value" per line:
+     *
+     *   type: choice | output | blank
+     *   question: Which keyword defines a function?
+     *   - [ ] function          (options; [x] marks correct ones)
+     *   - [x] def
+     *   code:                   (indented lines that follow are shown as Python code)
+     *       print(1 + 1)
+     *   answer: 2 | 2.0         (accepted answers for output/blank questions without options)
+     *   explanation: Shown once the learner has answered.
+     *   required: true          (must be answered correctly before marking the chapter complete)
+     *
+     * Throws an Error describing the first problem found.
+     */
+    parseQuizBlock(source) {
+        const quiz = { type: 'choice', question: '', options: [], code: null, answers: [], explanation: '', required: false };
+        const lines = source.split('\n');
+        
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const option = line.match(/^- \[( |x|X)\]\s+(.*)$/);
+            const field = line.match(/^(\w+):\s*(.*)$/);
+            
+            if (option) {
+                quiz.options.push({ text: option[2], correct: option[1] !== ' ' });
+            } else if (field && field[1] === 'code') {
+                const block = this.readIndentedBlock(lines, i);
+                quiz.code = block.text;
+                i = block.lastIndex;
+            } else if (field) {
+                const [, key, value] = field;
+                switch (key) {
+                    case 'type':
+                        if (!['choice', 'output', 'blank'].includes(value)) {
+                            throw new Error(`Unknown quiz type "${value}"`);
+                        }
+                        quiz.type = value;
+                        break;
+                    case 'question':
+                        quiz.question = value;
+                        break;
+                    case 'answer':
+                        quiz.answers = value.split('|').map(answer => answer.trim()).filter(Boolean);
+                        break;
+                    case 'explanation':
+                        quiz.explanation = value;
+                        break;
+                    case 'required':
+                        quiz.required = value === 'true';
+                        break;
+                    default:
+                        throw new Error(`Unknown quiz field "${key}"`);
+                }
+            } else if (line.trim()) {
+                throw new Error(`Can't read quiz line "${line.trim()}"`);
+            }
+        }
+        
+        if (!quiz.question) {
+            throw new Error('Quiz is missing a question');
+        }
+        if (quiz.options.length > 0 && !quiz.options.some(option => option.correct)) {
+            throw new Error('Quiz has no option marked [x] as correct');
+        }
+        if (quiz.options.length === 0 && quiz.answers.length === 0) {
+            throw new Error('Quiz needs either options or an answer');
+        }
+        
+        return quiz;
+    }
+
+    /**
+     * Render a ```quiz block into an interactive widget
+     */
+    renderQuiz(source, chapterId, quizIndex) {
+        let quiz;
+        try {
+            quiz = this.parseQuizBlock(source);
+        } catch (error) {
+            // Show authors what's wrong instead of silently dropping the quiz
+            return `<div class="quiz quiz-invalid">Invalid quiz: ${this.escapeHtml(error.message)}</div>`;
+        }
+        
+        const labels = { choice: 'Quick check', output: 'Predict the output', blank: 'Fill in the blank' };
+        const correctOptions = quiz.options.map((option, i) => option.correct ? i : null).filter(i => i !== null);
+        const inputType = correctOptions.length > 1 ? 'checkbox' : 'radio';
+        const inputName = `quiz-${chapterId}-${quizIndex}`;
+        
+        this.quizAnswers.set(`${chapterId}:${quizIndex}`, { correct: correctOptions, answers: quiz.answers });
+        
+        const answerHtml = quiz.options.length > 0
+            ? `<div class="quiz-options" role="group" aria-label="Answers">
+                ${quiz.options.map((option, i) => `
+                    <label class="quiz-option">
+                        <input type="${inputType}" name="${inputName}" value="${i}">
+                        <span>${marked.parseInline(option.text)}</span>
+                    </label>
+                `).join('')}
+                ${inputType === 'checkbox' ? '<p class="quiz-hint">Select all that apply.</p>' : ''}
+            </div>`
+            : `<input type="text" class="form-control quiz-answer" aria-label="Your answer" autocomplete="off" spellcheck="false">`;
+        
+        return `<div class="quiz" data-quiz="${quizIndex}" data-type="${quiz.type}" data-required="${quiz.required}">
+            <div class="quiz-label">${labels[quiz.type]}${quiz.required ? ' <span class="quiz-required">Required</span>' : ''}</div>
+            <p class="quiz-question">${marked.parseInline(quiz.question)}</p>
+            ${quiz.code ? `<pre><code class="language-python">${this.escapeHtml(quiz.code)}</code></pre>` : ''}
+            ${answerHtml}
+            <button type="button" class="btn btn--primary btn--sm quiz-check">Check answer</button>
+            <div class="quiz-feedback" role="status"></div>
+            ${quiz.explanation ? `<div class="quiz-explanation" hidden>${marked.parseInline(quiz.explanation)}</div>` : ''}
+        </div>`;
+    }
+
+    /**
+     * Setup answer checking for quizzes
+     */
+    setupQuizzes() {
+        document.addEventListener('click', (e) => {
+            const checkButton = e.target.closest('.quiz-check');
+            if (checkButton) {
+                this.checkQuizAnswer(checkButton.closest('.quiz'));
+            }
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.classList.contains('quiz-answer')) {
+                this.checkQuizAnswer(e.target.closest('.quiz'));
+            }
+        });
+    }
+
+    /**
+     * Check the learner's answer to a quiz, show feedback and record the result
+     */
+    checkQuizAnswer(quizElement) {
+        const chapter = quizElement.closest('.chapter');
+        const key = this.quizAnswers.get(`${chapter.id}:${quizElement.dataset.quiz}`);
+        if (!key) return;
+        
+        let correct;
+        if (quizElement.querySelector('.quiz-options')) {
+            const selected = Array.from(quizElement.querySelectorAll('.quiz-option input:checked')).map(input => input.value);
+            if (selected.length === 0) {
+                this.showQuizFeedback(quizElement, null, 'Choose an answer first.');
+                return;
+            }
+            correct = selected.sort().join(',') === key.correct.map(String).sort().join(',');
+        } else {
+            const input = quizElement.querySelector('.quiz-answer');
+            const normalize = text => text.trim().replace(/\s+/g, ' ');
+            const answer = normalize(input.value);
+            if (!answer) {
+                this.showQuizFeedback(quizElement, null, 'Type an answer first.');
+                return;
+            }
+            correct = key.answers.some(expected => normalize(expected) === answer);
+        }
+        
+        this.showQuizFeedback(quizElement, correct, correct ? 'Correct!' : 'Not quite. Try again.');
+        
+        this.recordQuizResult(chapter.id, quizElement.dataset.quiz, correct);
+        this.updateQuizSummary(chapter.id, chapter);
+        
+        // Passing the required questions may be all that was left
+        this.suggestChapterCompletion(chapter.id, chapter);
+    }
+
+    /**
+     * Show whether an answer was right; correct answers also reveal the explanation
+     */
+    showQuizFeedback(quizElement, correct, message) {
+        const feedback = quizElement.querySelector('.quiz-feedback');
+        feedback.textContent = message;
+        quizElement.classList.toggle('correct', correct === true);
+        quizElement.classList.toggle('incorrect', correct === false);
+        
+        const explanation = quizElement.querySelector('.quiz-explanation');
+        if (explanation && correct) {
+            explanation.hidden = false;
+        }
+    }
+
+    /**
+     * Save a quiz result. Once answered correctly, a quiz stays passed.
+     */
+    recordQuizResult(chapterId, quizIndex, correct) {
+        this.storage.update('quizResults', results => {
+            const chapterResults = { ...results[chapterId] };
+            const previous = chapterResults[quizIndex];
+            
+            chapterResults[quizIndex] = {
+                correct: correct || Boolean(previous && previous.correct),
+                answeredAt: new Date().toISOString()
+            };
+            return { ...results, [chapterId]: chapterResults };
+        });
+    }
+
+    /**
+     * Show earlier results, the chapter's quiz score, and lock the completion
+     * checkbox until every required quiz has been passed
+     */
+    updateQuizSummary(chapterId, container) {
+        const quizzes = Array.from(container.querySelectorAll('.quiz[data-quiz]'));
+        const footer = container.querySelector('.chapter-footer');
+        if (quizzes.length === 0 || !footer) return;
+        
+        const results = this.storage.get('quizResults')[chapterId] || {};
+        const passed = quiz => Boolean(results[quiz.dataset.quiz] && results[quiz.dataset.quiz].correct);
+        
+        quizzes.forEach(quiz => {
+            if (passed(quiz) && !quiz.classList.contains('correct')) {
+                this.showQuizFeedback(quiz, true, 'You answered this correctly earlier.');
+            }
+        });
+        
+        let score = footer.querySelector('.quiz-score');
+        if (!score) {
+            score = document.createElement('p');
+            score.className = 'quiz-score';
+            footer.prepend(score);
+        }
+        score.textContent = `Quiz score: ${quizzes.filter(passed).length}/${quizzes.length} correct`;
+        
+        const checkbox = footer.querySelector('.chapter-checkbox');
+        const locked = quizzes.some(quiz => quiz.dataset.required === 'true' && !passed(quiz));
+        checkbox.disabled = locked && !checkbox.checked;
+        footer.querySelector('.chapter-complete').title = checkbox.disabled ? 'Pass the required quiz questions to mark this chapter complete' : '';
+    }
+
+    /**
+     * Collect the indented lines following a "key:" line, such as a code:
+     * block. Returns the dedented text and the index of the last line used.
+     */
+    readIndentedBlock(lines, index) {
+        const blockLines = [];
+        while (index + 1 < lines.length && /^(\s{4}|\t|\s*$)/.test(lines[index + 1])) {
+            blockLines.push(lines[++index].replace(/^(\s{4}|\t)/, ''));
+        }
+        return { text: blockLines.join('\n').trim(), lastIndex: index };
+    }
+
+    /**
+     * Parse an ```exercise block. Fields use the same "key: value" format as quizzes:
+     *
+     *   title: Sum the even numbers
+     *   prompt: Write `sum_evens(numbers)` that returns the sum of the even numbers.
+     *   starter:                (indented starter code for the editor)
+     *       def sum_evens(numbers):
+     *           pass
+     *   tests:                  (hidden tests, one single-line assert per line)
+     *       assert sum_evens([1, 2, 3, 4]) == 6
+     *       assert sum_evens([]) == 0, "an empty list sums to 0"
+     *
+     * Throws an Error describing the first problem found.
+     */
+    parseExerciseBlock(source) {
+        const exercise = { title: 'Exercise', prompt: '', starter: '', tests: [] };
+        const lines = source.split('\n');
+        
+        for (let i = 0; i < lines.length; i++) {
+            const field = lines[i].match(/^(\w+):\s*(.*)$/);
+            
+            if (field && (field[1] === 'starter' || field[1] === 'tests')) {
+                const block = this.readIndentedBlock(lines, i);
+                i = block.lastIndex;
+                if (field[1] === 'starter') {
+                    exercise.starter = block.text;
+                } else {
+                    exercise.tests = block.text.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+                }
+            } else if (field && (field[1] === 'title' || field[1] === 'prompt')) {
+                exercise[field[1]] = field[2];
+            } else if (field) {
+                throw new Error(`Unknown exercise field "${field[1]}"`);
+            } else if (lines[i].trim()) {
+                throw new Error(`Can't read exercise line "${lines[i].trim()}"`);
+            }
+        }
+        
+        if (!exercise.prompt) {
+            throw new Error('Exercise is missing a prompt');
+        }
+        if (exercise.tests.length === 0) {
+            throw new Error('Exercise has no tests');
+        }
+        
+        return exercise;
+    }
+
+    /**
+     * Render an ```exercise block: the prompt, an editor holding the starter
+     * code and a Check button that runs the hidden tests
+     */
+    renderExercise(source, chapterId, exerciseIndex, blockIndex) {
+        let exercise;
+        try {
+            exercise = this.parseExerciseBlock(source);
+        } catch (error) {
+            return `<div class="exercise exercise-invalid">Invalid exercise: ${this.escapeHtml(error.message)}</div>`;
+        }
+        
+        this.exerciseTests.set(`${chapterId}:${exerciseIndex}`, exercise.tests);
+        
+        return `<div class="exercise" data-exercise="${exerciseIndex}">
+            <div class="exercise-label">Exercise</div>
+            <h4 class="exercise-title">${marked.parseInline(exercise.title)}</h4>
+            <p class="exercise-prompt">${marked.parseInline(exercise.prompt)}</p>
+            ${this.renderCodeBlock(exercise.starter, 'python', blockIndex)}
+            <div class="exercise-actions">
+                <button type="button" class="btn btn--primary btn--sm exercise-check">Check</button>
+                <span class="exercise-status" role="status"></span>
+            </div>
+            <ul class="exercise-results" hidden></ul>
+            <pre class="exercise-output" hidden></pre>
+        </div>`;
+    }
+
+    /**
+     * Setup Check buttons for exercises
+     */
+    setupExercises() {
+        document.addEventListener('click', (e) => {
+            const checkButton = e.target.closest('.exercise-check');
+            if (checkButton) {
+                this.checkExercise(checkButton.closest('.exercise'));
+            }
+        });
+    }
+
+    /**
+     * Open exercise editors on the starter code and show earlier results
+     */
+    setupChapterExercises(chapterId, container) {
+        const exercises = container.querySelectorAll('.exercise[data-exercise]');
+        const results = this.storage.get('exerciseResults')[chapterId] || {};
+        
+        exercises.forEach(exercise => {
+            const wrapper = exercise.querySelector('.code-block-wrapper');
+            if (!wrapper.querySelector('.code-editor')) {
+                this.openCodeEditor(wrapper, { focus: false });
+            }
+            
+            const result = results[exercise.dataset.exercise];
+            if (result && result.passed) {
+                exercise.classList.add('passed');
+                exercise.querySelector('.exercise-status').textContent = 'Passed earlier';
+            }
+        });
+        
+        this.updateExerciseSummary(chapterId, container);
+    }
+
+    /**
+     * Run the learner's code against an exercise's hidden tests in a fresh
+     * interpreter and report each test's result
+     */
+    async checkExercise(exercise) {
+        const wrapper = exercise.querySelector('.code-block-wrapper');
+        const checkButton = exercise.querySelector('.exercise-check');
+        const status = exercise.querySelector('.exercise-status');
+        const resultsList = exercise.querySelector('.exercise-results');
+        const output = exercise.querySelector('.exercise-output');
+        const chapter = exercise.closest('.chapter');
+        const tests = this.exerciseTests.get(`${chapter.id}:${exercise.dataset.exercise}`);
+        if (!tests) return;
+        
+        checkButton.disabled = true;
+        status.textContent = this.pythonWorker ? 'Checking...' : 'Loading Python runtime...';
+        
+        let stdout = '';
+        let stderr = '';
+        let testResults = null;
+        try {
+            // The worker runs the tests after the learner's code and reports
+            // their results with the completion message, not on stdout
+            const code = this.getCodeBlockSource(wrapper);
+            const result = await this.runPython(code, (stream, text) => {
+                if (stream === 'stdout') stdout += text;
+                else stderr += text;
+            }, { isolated: true, tests });
+            
+            if (result.testResults) {
+                testResults = result.testResults;
+            } else {
+                // The learner's code failed before the tests could run
+                const reason = result.timedOut ? `Stopped after ${this.pythonTimeout / 1000} seconds` : 'Your code raised an error';
+                testResults = tests.map(() => ({ passed: false, error: reason }));
+                stderr += result.error ? result.error + '\n' : '';
+            }
+        } catch (error) {
+            console.error('Error checking exercise:', error);
+            status.textContent = `Couldn't start the Python runtime: ${error.message}`;
+            checkButton.disabled = false;
+            return;
+        }
+        
+        const passedCount = testResults.filter(test => test.passed).length;
+        const passed = passedCount === tests.length;
+        
+        resultsList.innerHTML = testResults.map((test, i) => `
+            <li class="exercise-test ${test.passed ? 'passed' : 'failed'}">
+                <span class="exercise-test-icon" aria-hidden="true">${test.passed ? '✓' : '✗'}</span>
+                Test ${i + 1}: ${test.passed ? 'passed' : `failed${test.error ? ` — ${this.escapeHtml(test.error)}` : ''}`}
+            </li>
+        `).join('');
+        resultsList.hidden = false;
+        
+        output.textContent = (stdout + stderr).trim();
+        output.hidden = !output.textContent;
+        
+        status.textContent = passed ? 'All tests passed!' : `${passedCount} of ${tests.length} tests passed`;
+        exercise.classList.toggle('passed', passed);
+        checkButton.disabled = false;
+        
+        this.recordExerciseResult(chapter.id, exercise.dataset.exercise, passed, passedCount, tests.length);
+        this.updateExerciseSummary(chapter.id, chapter);
+        this.updateProgress();
+    }
+
+    /**
+     * Save an exercise result. Once passed, an exercise stays passed.
+     */
+    recordExerciseResult(chapterId, exerciseIndex, passed, passedTests, totalTests) {
+        this.storage.update('exerciseResults', results => {
+            const chapterResults = { ...results[chapterId] };
+            const previous = chapterResults[exerciseIndex];
+            
+            chapterResults[exerciseIndex] = {
+                passed: passed || Boolean(previous && previous.passed),
+                passedTests,
+                totalTests,
+                checkedAt: new Date().toISOString()
+            };
+            return { ...results, [chapterId]: chapterResults };
+        });
+    }
+
+    /**
+     * Show how many of a chapter's exercises have been passed in its footer
+     */
+    updateExerciseSummary(chapterId, container) {
+        const exercises = container.querySelectorAll('.exercise[data-exercise]');
+        const footer = container.querySelector('.chapter-footer');
+        if (exercises.length === 0 || !footer) return;
+        
+        const results = this.storage.get('exerciseResults')[chapterId] || {};
+        const passedCount = Array.from(exercises).filter(exercise => {
+            const result = results[exercise.dataset.exercise];
+            return result && result.passed;
+        }).length;
+        
+        let summary = footer.querySelector('.exercise-score');
+        if (!summary) {
+            summary = document.createElement('p');
+            summary.className = 'exercise-score';
+            footer.prepend(summary);
+        }
+        summary.textContent = `Exercises: ${passedCount}/${exercises.length} passed`;
+    }
+
+    /**
+     * Create a function that turns heading text into a chapter-unique ID,
+     * e.g. "Tasks and Futures" in the async chapter becomes "async-tasks-and-futures".
+     * Repeated headings get a numeric suffix, matching the order they appear in.
+     */
+    createHeadingSlugger(chapterId) {
+        const seen = {};
+        
+        return (text) => {
+            const slug = text
+                .toLowerCase()
+                .replace(/<[^>]+>/g, '')
+                .replace(/&[a-z0-9#]+;/g, '')
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-+|-+$/g, '') || 'section';
+            const base = `${chapterId}-${slug}`;
+            
+            seen[base] = (seen[base] || 0) + 1;
+            return seen[base] === 1 ? base : `${base}-${seen[base] - 1}`;
+        };
+    }
+    
+    /**
+     * Helper method to escape HTML special characters
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return text.replace(/[&<>"']/g, char => map[char]);
+    }
+
+    /**
+     * Setup tab switching and synced line highlighting for comparison blocks.
+     * Hovering a line highlights the same line in every pane; clicking pins it
+     * so it stays visible while switching tabs.
+     */
+    setupCodeComparisons() {
+        document.addEventListener('click', (e) => {
+            const tab = e.target.closest('.code-comparison-tab');
+            if (tab) {
+                this.showComparisonPane(tab.closest('.code-comparison'), tab.dataset.pane);
+                return;
+            }
+            
+            const pre = e.target.closest('.code-comparison-pane .code-block-wrapper > pre');
+            if (pre) {
+                const comparison = pre.closest('.code-comparison');
+                const line = this.getComparisonLine(pre, e.clientY);
+                comparison.dataset.pinnedLine = comparison.dataset.pinnedLine === String(line) ? '' : line;
+                this.highlightComparisonLine(comparison, comparison.dataset.pinnedLine);
+            }
+        });
+        
+        document.addEventListener('mousemove', (e) => {
+            const pre = e.target.closest && e.target.closest('.code-comparison-pane .code-block-wrapper > pre');
+            if (pre) {
+                this.highlightComparisonLine(pre.closest('.code-comparison'), this.getComparisonLine(pre, e.clientY));
+            }
+        });
+        
+        document.addEventListener('mouseout', (e) => {
+            const comparison = e.target.closest && e.target.closest('.code-comparison--markdown');
+            if (comparison && !comparison.contains(e.relatedTarget)) {
+                this.highlightComparisonLine(comparison, comparison.dataset.pinnedLine);
+            }
+        });
+    }
+
+    /**
+     * Switch a comparison to the given pane when it is shown as tabs
+     */
+    showComparisonPane(comparison, paneIndex) {
+        comparison.querySelectorAll('.code-comparison-tab').forEach(tab => {
+            const active = tab.dataset.pane === paneIndex;
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-selected', active);
+        });
+        comparison.querySelectorAll('.code-comparison-pane').forEach(pane => {
+            pane.classList.toggle('active', pane.dataset.pane === paneIndex);
+        });
+        
+        // The newly visible pane had no layout, so place its highlight again
+        this.highlightComparisonLine(comparison, comparison.dataset.pinnedLine);
+    }
+
+    /**
+     * Find which line of a code block is at the given viewport position
+     */
+    getComparisonLine(pre, clientY) {
+        const code = pre.querySelector('code');
+        const lineCount = code.textContent.split('\n').length;
+        const lineHeight = code.offsetHeight / lineCount;
+        const line = Math.floor((clientY - code.getBoundingClientRect().top) / lineHeight);
+        return Math.min(Math.max(line, 0), lineCount - 1);
+    }
+
+    /**
+     * Highlight the same line in every pane of a comparison, or clear the
+     * highlight when line is empty
+     */
+    highlightComparisonLine(comparison, line) {
+        comparison.querySelectorAll('.code-comparison-pane .code-block-wrapper').forEach(wrapper => {
+            let highlight = wrapper.querySelector('.code-line-highlight');
+            const pre = wrapper.querySelector(':scope > pre');
+            const code = pre && pre.querySelector('code');
+            const lineCount = code ? code.textContent.split('\n').length : 0;
+            
+            // Hidden panes and open editors have nothing to line up with
+            if (line === '' || line == null || !code || !pre.offsetParent || Number(line) >= lineCount) {
+                if (highlight) highlight.hidden = true;
+                return;
+            }
+            
+            if (!highlight) {
+                highlight = document.createElement('div');
+                highlight.className = 'code-line-highlight';
+                highlight.setAttribute('aria-hidden', 'true');
+                wrapper.appendChild(highlight);
+            }
+            
+            const lineHeight = code.offsetHeight / lineCount;
+            const top = code.getBoundingClientRect().top - wrapper.getBoundingClientRect().top;
+            highlight.style.top = `${top + Number(line) * lineHeight}px`;
+            highlight.style.height = `${lineHeight}px`;
+            highlight.hidden = false;
+        });
+    }
+
+    /**
+     * Setup code copy functionality
+     */
+    setupCodeCopy() {
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('copy-btn')) {
+                // Copy the learner's edited version when there is one
+                const wrapper = e.target.closest('.code-block-wrapper[data-block]');
+                const code = wrapper ? this.getCodeBlockSource(wrapper).trim() : e.target.dataset.code;
+                this.copyToClipboard(code, e.target);
+            }
+        });
+    }
+
+    /**
+     * Setup Run and Reset buttons for Python code blocks
+     */
+    setupCodeRunner() {
+        document.addEventListener('click', (e) => {
+            const runButton = e.target.closest('.run-btn');
+            if (runButton) {
+                this.runCodeBlock(runButton.closest('.code-block-wrapper'));
+                return;
+            }
+            
+            const resetButton = e.target.closest('.reset-python-btn');
+            if (resetButton) {
+                this.resetPython().then(() => {
+                    resetButton.textContent = 'Interpreter reset';
+                    setTimeout(() => {
+                        resetButton.textContent = 'Reset interpreter';
+                    }, 2000);
+                });
+            }
+        });
+    }
+
+    /**
+     * Run the code in a code block and show its output underneath
+     */
+    async runCodeBlock(wrapper) {
+        const runButton = wrapper.querySelector('.run-btn');
+        const code = this.getCodeBlockSource(wrapper);
+        
+        // Create the output panel on first run
+        let output = wrapper.querySelector('.code-output');
+        if (!output) {
+            output = document.createElement('div');
+            output.className = 'code-output';
+            output.innerHTML = `
+                <div class="code-output-header">
+                    <span>Output</span>
+                    <button class="reset-python-btn" type="button">Reset interpreter</button>
+                </div>
+                <pre class="code-output-text" aria-live="polite"></pre>
+            `;
+            wrapper.appendChild(output);
+        }
+        
+        const outputText = output.querySelector('.code-output-text');
+        outputText.textContent = this.pythonWorker ? '' : 'Loading Python runtime...\n';
+        runButton.disabled = true;
+        runButton.textContent = 'Running...';
+        
+        const appendOutput = (stream, text) => {
+            // Drop the loading notice once the snippet starts printing
+            if (!outputText.dataset.started) {
+                outputText.textContent = '';
+                outputText.dataset.started = 'true';
+            }
+            const span = document.createElement('span');
+            span.className = `code-output-${stream}`;
+            span.textContent = text;
+            outputText.appendChild(span);
+        };
+        delete outputText.dataset.started;
+        
+        try {
+            const result = await this.runPython(code, appendOutput);
+            
+            if (result.timedOut) {
+                appendOutput('stderr', `Stopped after ${this.pythonTimeout / 1000} seconds. The interpreter was restarted.\n`);
+            } else if (result.error) {
+                appendOutput('stderr', result.error + '\n');
+            } else if (!outputText.dataset.started) {
+                appendOutput('info', '(no output)');
+            }
+        } catch (error) {
+            console.error('Error running Python code:', error);
+            appendOutput('stderr', `Couldn't start the Python runtime: ${error.message}\n`);
+        } finally {
+            runButton.disabled = false;
+            runButton.textContent = 'Run';
+        }
+    }
+
+    /**
+     * Start the Python worker if needed. Resolves once the runtime has loaded.
+     */
+    getPythonWorker() {
+        if (!this.pythonWorker) {
+            const worker = new Worker('python-worker.js');
+            this.pythonWorker = worker;
+            
+            this.pythonWorkerReady = new Promise((resolve, reject) => {
+                // Allow a later run to try loading again
+                const fail = (error) => {
+                    clearTimeout(loadTimeout);
+                    if (this.pythonWorker !== worker) return;
+                    
+                    this.pythonWorker = null;
+                    worker.terminate();
+                    reject(error);
+                    // Only does anything when the worker broke while running a snippet
+                    this.finishPythonRun({ error: error.message });
+                };
+                const loadTimeout = setTimeout(() => {
+                    fail(new Error('The Python runtime took too long to load.'));
+                }, this.pythonLoadTimeout);
+                
+                worker.addEventListener('message', (e) => {
+                    const message = e.data;
+                    if (message.type === 'ready') {
+                        clearTimeout(loadTimeout);
+                        resolve(worker);
+                    } else if (message.type === 'init-error') {
+                        fail(new Error(message.error));
+                    } else {
+                        this.handlePythonMessage(message);
+                    }
+                });
+                
+                // The worker script failed to load or crashed
+                worker.addEventListener('error', (e) => {
+                    e.preventDefault();
+                    fail(new Error(e.message || "The Python worker couldn't be loaded."));
+                });
+            });
+            
+            worker.postMessage({ type: 'init', indexUrl: this.pythonRuntimeUrl });
+        }
+        
+        return this.pythonWorkerReady;
+    }
+
+    /**
+     * Route output and completion messages to the snippet that is running
+     */
+    handlePythonMessage(message) {
+        const run = this.pythonRun;
+        if (!run) return;
+        
+        if (message.type === 'stdout' || message.type === 'stderr') {
+            run.onOutput(message.type, message.text);
+        } else if (message.type === 'done' && message.id === run.id) {
+            this.finishPythonRun({ error: message.error || null, testResults: message.testResults || null });
+        }
+    }
+
+    /**
+     * Queue a snippet to run in the shared interpreter, or with fresh globals
+     * when options.isolated is set. options.tests are Python sources run after
+     * the snippet. Resolves with { error, timedOut, testResults } once it
+     * finishes or is stopped; testResults is null unless the tests ran.
+     */
+    runPython(code, onOutput, options = {}) {
+        const job = this.pythonQueue.then(() => this.executePython(code, onOutput, options));
+        this.pythonQueue = job.catch(() => {});
+        return job;
+    }
+
+    /**
+     * Run a snippet now, restarting the interpreter if it exceeds the timeout
+     */
+    async executePython(code, onOutput, { isolated = false, tests = null } = {}) {
+        const worker = await this.getPythonWorker();
+        
+        return new Promise(resolve => {
+            const id = ++this.pythonRunId;
+            
+            // The timeout starts once the runtime is loaded, so a slow download doesn't count
+            const timeout = setTimeout(() => {
+                worker.terminate();
+                this.pythonWorker = null;
+                this.finishPythonRun({ timedOut: true });
+            }, this.pythonTimeout);
+            
+            this.pythonRun = { id, onOutput, resolve, timeout };
+            worker.postMessage({ type: 'run', id, code, isolated, tests });
+        });
+    }
+
+    /**
+     * Settle the running snippet's promise
+     */
+    finishPythonRun(result) {
+        const run = this.pythonRun;
+        if (!run) return;
+        
+        clearTimeout(run.timeout);
+        this.pythonRun = null;
+        run.resolve({ error: null, timedOut: false, testResults: null, ...result });
+    }
+
+    /**
+     * Clear all variables, functions and imports defined by earlier snippets
+     */
+    resetPython() {
+        const job = this.pythonQueue.then(() => {
+            if (this.pythonWorker) {
+                this.pythonWorker.postMessage({ type: 'reset' });
+            }
+        });
+        this.pythonQueue = job.catch(() => {});
+        return job;
+    }
+
+    /**
+     * Setup the Edit / Restore playground controls for Python code blocks
+     */
+    setupCodeEditing() {
+        document.addEventListener('click', (e) => {
+            const editButton = e.target.closest('.edit-btn');
+            if (editButton) {
+                const wrapper = editButton.closest('.code-block-wrapper');
+                if (wrapper.querySelector('.code-editor')) {
+                    this.closeCodeEditor(wrapper);
+                } else {
+                    this.openCodeEditor(wrapper);
+                }
+                return;
+            }
+            
+            const restoreButton = e.target.closest('.restore-btn');
+            if (restoreButton) {
+                this.restoreOriginalCode(restoreButton.closest('.code-block-wrapper'));
+            }
+        });
+        
+        document.addEventListener('input', (e) => {
+            if (e.target.classList.contains('code-editor-input')) {
+                this.handleCodeEditorInput(e.target);
+            }
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.target.classList.contains('code-editor-input')) {
+                this.handleCodeEditorKeydown(e);
+            }
+        });
+        
+        document.addEventListener('scroll', (e) => {
+            if (e.target.classList && e.target.classList.contains('code-editor-input')) {
+                // Keep the highlighted copy aligned with the text being edited
+                const highlight = e.target.previousElementSibling;
+                highlight.scrollLeft = e.target.scrollLeft;
+            }
+        }, true);
+    }
+
+    /**
+     * Key identifying a code block across re-renders: its chapter and position
+     */
+    getCodeBlockKey(wrapper) {
+        const chapter = wrapper.closest('.chapter');
+        return `${chapter ? chapter.id : ''}:${wrapper.dataset.block}`;
+    }
+
+    /**
+     * Get the code a block currently holds, including the learner's edits
+     */
+    getCodeBlockSource(wrapper) {
+        const edit = this.codeEdits.get(this.getCodeBlockKey(wrapper));
+        if (edit) return edit.code;
+        return wrapper.originalCode ?? wrapper.querySelector('pre code').textContent;
+    }
+
+    /**
+     * Replace a code block with an editor holding its current code
+     */
+    openCodeEditor(wrapper, { focus = true } = {}) {
+        const pre = wrapper.querySelector('pre');
+        const code = this.getCodeBlockSource(wrapper);
+        
+        // Remember the original so it can be restored after re-rendering
+        if (wrapper.originalCode === undefined) {
+            wrapper.originalCode = pre.querySelector('code').textContent;
+        }
+        
+        const editor = document.createElement('div');
+        editor.className = 'code-editor';
+        editor.innerHTML = `
+            <div class="code-editor-gutter" aria-hidden="true"></div>
+            <div class="code-editor-body">
+                <pre class="code-editor-highlight" aria-hidden="true"><code class="language-python"></code></pre>
+                <textarea class="code-editor-input" wrap="off" spellcheck="false" autocapitalize="off" autocomplete="off" aria-label="Edit Python code. Press Escape to leave the editor."></textarea>
+            </div>
+        `;
+        pre.hidden = true;
+        pre.after(editor);
+        
+        const textarea = editor.querySelector('.code-editor-input');
+        textarea.value = code;
+        this.updateCodeEditor(textarea);
+        
+        wrapper.querySelector('.edit-btn').textContent = 'Done';
+        this.saveCodeEdit(wrapper, code, true);
+        if (focus) {
+            textarea.focus();
+        }
+    }
+
+    /**
+     * Leave the editor and show the (possibly modified) code highlighted as usual
+     */
+    closeCodeEditor(wrapper) {
+        const editor = wrapper.querySelector('.code-editor');
+        if (!editor) return;
+        
+        const code = editor.querySelector('.code-editor-input').value;
+        editor.remove();
+        
+        const pre = wrapper.querySelector('pre');
+        pre.hidden = false;
+        this.showCodeInBlock(pre.querySelector('code'), code);
+        
+        wrapper.querySelector('.edit-btn').textContent = 'Edit';
+        this.saveCodeEdit(wrapper, code, false);
+    }
+
+    /**
+     * Discard the learner's edits and bring back the original example
+     */
+    restoreOriginalCode(wrapper) {
+        const original = wrapper.originalCode;
+        if (original === undefined) return;
+        
+        const textarea = wrapper.querySelector('.code-editor-input');
+        if (textarea) {
+            // Replace through the editing API so the restore itself can be undone
+            textarea.focus();
+            textarea.select();
+            this.insertEditorText(textarea, original);
+        } else {
+            this.showCodeInBlock(wrapper.querySelector('pre code'), original);
+            this.saveCodeEdit(wrapper, original, false);
+        }
+    }
+
+    /**
+     * Record a block's code so it survives navigating away and back
+     */
+    saveCodeEdit(wrapper, code, editing) {
+        const key = this.getCodeBlockKey(wrapper);
+        const modified = code !== wrapper.originalCode;
+        
+        if (modified || editing) {
+            this.codeEdits.set(key, { code, editing });
+        } else {
+            this.codeEdits.delete(key);
+        }
+        
+        wrapper.classList.toggle('code-modified', modified);
+        wrapper.querySelector('.restore-btn').hidden = !modified;
+    }
+
+    /**
+     * Re-apply saved edits after a chapter has been rendered again
+     */
+    restoreCodeEdits(container) {
+        container.querySelectorAll('.code-block-wrapper[data-block]').forEach(wrapper => {
+            const edit = this.codeEdits.get(this.getCodeBlockKey(wrapper));
+            if (!edit) return;
+            
+            wrapper.originalCode = wrapper.querySelector('pre code').textContent;
+            if (edit.editing) {
+                // Don't steal focus (and scroll position) from the page
+                this.openCodeEditor(wrapper, { focus: false });
+            } else {
+                this.showCodeInBlock(wrapper.querySelector('pre code'), edit.code);
+                this.saveCodeEdit(wrapper, edit.code, false);
+            }
+        });
+    }
+
+    /**
+     * Put code into a <code> element and syntax highlight it
+     */
+    showCodeInBlock(codeElement, code) {
+        // A trailing newline would otherwise collapse, leaving the last line unrendered
+        codeElement.textContent = code.endsWith('\n') ? code + ' ' : code;
+        if (window.Prism) {
+            window.Prism.highlightElement(codeElement);
+        }
+    }
+
+    /**
+     * Refresh the highlighting, line numbers and size of an editor after a change
+     */
+    updateCodeEditor(textarea) {
+        const editor = textarea.closest('.code-editor');
+        const code = textarea.value;
+        
+        this.showCodeInBlock(editor.querySelector('.code-editor-highlight code'), code);
+        
+        const lineCount = code.split('\n').length;
+        editor.querySelector('.code-editor-gutter').textContent =
+            Array.from({ length: lineCount }, (_, i) => i + 1).join('\n');
+        
+        // Grow with the content instead of scrolling vertically
+        textarea.style.height = 'auto';
+        textarea.style.height = `${textarea.scrollHeight}px`;
+    }
+
+    /**
+     * Keep the editor display and saved edit in sync with what was typed
+     */
+    handleCodeEditorInput(textarea) {
+        this.updateCodeEditor(textarea);
+        this.saveCodeEdit(textarea.closest('.code-block-wrapper'), textarea.value, true);
+    }
+
+    /**
+     * Indentation handling: Tab/Shift+Tab indent and dedent, Enter keeps the
+     * current indentation (one level deeper after a colon), Backspace removes
+     * a whole indentation level. Escape leaves the editor for keyboard users.
+     */
+    handleCodeEditorKeydown(e) {
+        const textarea = e.target;
+        const indent = '    ';
+        const { value, selectionStart, selectionEnd } = textarea;
+        const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+        
+        if (e.isComposing) return;
+        
+        if (e.key === 'Escape') {
+            textarea.blur();
+        } else if (e.key === 'Tab') {
+            e.preventDefault();
+            
+            const multiLine = value.slice(selectionStart, selectionEnd).includes('\n');
+            if (!multiLine && !e.shiftKey) {
+                this.insertEditorText(textarea, indent);
+                return;
+            }
+            
+            // Indent or dedent every selected line
+            const lineEnd = value.indexOf('\n', selectionEnd);
+            const blockEnd = lineEnd === -1 ? value.length : lineEnd;
+            const lines = value.slice(lineStart, blockEnd).split('\n');
+            const changed = lines.map(line => e.shiftKey ? line.replace(/^ {1,4}/, '') : indent + line);
+            
+            textarea.setSelectionRange(lineStart, blockEnd);
+            this.insertEditorText(textarea, changed.join('\n'));
+            textarea.setSelectionRange(lineStart, lineStart + changed.join('\n').length);
+        } else if (e.key === 'Enter' && !e.ctrlKey && !e.metaKey) {
+            e.preventDefault();
+            
+            const currentLine = value.slice(lineStart, selectionStart);
+            let newIndent = currentLine.match(/^\s*/)[0];
+            if (currentLine.trimEnd().endsWith(':')) {
+                newIndent += indent;
+            }
+            this.insertEditorText(textarea, '\n' + newIndent);
+        } else if (e.key === 'Backspace' && selectionStart === selectionEnd) {
+            const beforeCursor = value.slice(lineStart, selectionStart);
+            if (beforeCursor.length > 0 && /^ +$/.test(beforeCursor)) {
+                e.preventDefault();
+                const remove = beforeCursor.length % indent.length || indent.length;
+                textarea.setSelectionRange(selectionStart - remove, selectionStart);
+                this.insertEditorText(textarea, '');
+            }
+        }
+    }
+
+    /**
+     * Replace the editor's selection with text, keeping the browser's undo history intact
+     */
+    insertEditorText(textarea, text) {
+        // execCommand is the only way to edit a textarea that the native undo stack records
+        const inserted = text === ''
+            ? document.execCommand('delete', false)
+            : document.execCommand('insertText', false, text);
+        
+        if (!inserted) {
+            textarea.setRangeText(text, textarea.selectionStart, textarea.selectionEnd, 'end');
+            textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    }
+
+    /**
+     * Copy code to clipboard
+     */
+    async copyToClipboard(text, button) {
+        try {
+            if (navigator.clipboard && window.isSecureContext) {
+                await navigator.clipboard.writeText(text);
+            } else {
+                // Fallback for older browsers
+                const textArea = document.createElement('textarea');
+                textArea.value = text;
+                textArea.style.position = 'fixed';
+                textArea.style.left = '-999999px';
+                textArea.style.top = '-999999px';
+                document.body.appendChild(textArea);
+                textArea.focus();
+                textArea.select();
+                document.execCommand('copy');
+                textArea.remove();
+            }
+            
+            // Show success feedback
+            const originalText = button.textContent;
+            button.textContent = 'Copied!';
+            button.classList.add('copied');
+            
+            setTimeout(() => {
+                button.textContent = originalText;
+                button.classList.remove('copied');
+            }, 2000);
+            
+        } catch (err) {
+            console.warn('Failed to copy text: ', err);
+            
+            // Show error feedback
+            button.textContent = 'Failed';
+            setTimeout(() => {
+                button.textContent = 'Copy';
+            }, 2000);
+        }
+    }
+
+    /**
+     * Setup search functionality
+     */
+    setupSearch() {
+        const searchBtn = document.getElementById('searchBtn');
+        const searchModal = document.getElementById('searchModal');
+        const searchClose = document.getElementById('searchClose');
+        const searchInput = document.getElementById('searchInput');
+        const searchResults = document.getElementById('searchResults');
+        
+        searchBtn.addEventListener('click', () => this.openSearch());
+        searchClose.addEventListener('click', () => this.closeSearch());
+        
+        // Close modal when clicking outside
+        searchModal.addEventListener('click', (e) => {
+            if (e.target === searchModal) {
+                this.closeSearch();
+            }
+        });
+        
+        // Handle search input
+        let searchTimeout;
+        searchInput.addEventListener('input', (e) => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => {
+                this.performSearch(e.target.value);
+            }, 300);
+        });
+        
+        // Arrow keys move through the results while typing; Enter opens the chosen one
+        searchInput.addEventListener('keydown', (e) => {
+            const items = searchResults.querySelectorAll('.search-result-item');
+            const active = searchResults.querySelector('.search-result-item.active');
+            const index = Array.prototype.indexOf.call(items, active);
+            
+            switch (e.key) {
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    if (items.length === 0) return;
+                    e.preventDefault();
+                    // Wrap around at either end
+                    this.setActiveSearchResult(e.key === 'ArrowDown'
+                        ? (index + 1) % items.length
+                        : (index <= 0 ? items.length : index) - 1);
+                    break;
+                case 'Enter':
+                    if (active || items.length > 0) {
+                        e.preventDefault();
+                        this.openSearchResult(active || items[0]);
+                    }
+                    break;
+            }
+        });
+        
+        // Keep Tab inside the dialog while it is open
+        searchModal.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') {
+                this.trapFocus(searchModal.querySelector('.search-modal-content'), e);
+            }
+        });
+        
+        // Handle search result clicks
+        searchResults.addEventListener('click', (e) => {
+            const resultItem = e.target.closest('.search-result-item');
+            if (resultItem) {
+                this.openSearchResult(resultItem);
+            }
+        });
+        
+        searchResults.addEventListener('mousemove', (e) => {
+            const resultItem = e.target.closest('.search-result-item:not(.active)');
+            if (resultItem) {
+                this.setActiveSearchResult(Array.prototype.indexOf.call(searchResults.children, resultItem), { scroll: false });
+            }
+        });
+    }
+
+    /**
+     * Mark one search result as chosen, for the keyboard and screen readers
+     */
+    setActiveSearchResult(index, { scroll = true } = {}) {
+        const searchInput = document.getElementById('searchInput');
+        const items = document.querySelectorAll('#searchResults .search-result-item');
+        
+        items.forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            item.setAttribute('aria-selected', i === index);
+        });
+        
+        const active = items[index];
+        if (active) {
+            searchInput.setAttribute('aria-activedescendant', active.id);
+            if (scroll) active.scrollIntoView({ block: 'nearest' });
+        } else {
+            searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Close the search and go to a result's section
+     */
+    openSearchResult(resultItem) {
+        const chapterId = resultItem.dataset.chapter;
+        const sectionId = resultItem.dataset.section || null;
+        this.closeSearch();
+        this.navigateToChapter(chapterId, sectionId, { flash: true });
+    }
+
+    /**
+     * Cycle Tab and Shift+Tab through the focusable elements of a container
+     */
+    trapFocus(container, e) {
+        const focusable = Array.from(container.querySelectorAll(
+            'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
+        )).filter(element => !element.closest('[hidden], .hidden'));
+        if (focusable.length === 0) return;
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Open the search modal
+     */
+    openSearch() {
+        const searchModal = document.getElementById('searchModal');
+        const searchInput = document.getElementById('searchInput');
+        
+        // Return focus here once the search closes
+        if (searchModal.classList.contains('hidden')) {
+            this.searchReturnFocus = document.activeElement;
+        }
+        
+        searchModal.classList.remove('hidden');
+        searchInput.focus();
+        
+        // Start indexing in the background so results are ready when typing starts
+        this.buildSearchIndex().catch(error => console.error('Error building search index:', error));
+        
+        // Prevent body scroll
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Close the search modal
+     */
+    closeSearch() {
+        const searchModal = document.getElementById('searchModal');
+        const searchInput = document.getElementById('searchInput');
+        if (searchModal.classList.contains('hidden')) return;
+        
+        searchModal.classList.add('hidden');
+        searchInput.value = '';
+        this.showSearchStatus('', { announce: false });
+        
+        // Restore body scroll
+        document.body.style.overflow = '';
+        
+        // Give focus back to whatever opened the search
+        const returnFocus = this.searchReturnFocus;
+        this.searchReturnFocus = null;
+        if (returnFocus?.isConnected && returnFocus !== document.body) {
+            returnFocus.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Perform search based on user query
+     */
+    async performSearch(query) {
+        const searchResults = document.getElementById('searchResults');
+        
+        if (!query.trim()) {
+            this.showSearchStatus('', { announce: false });
+            return;
+        }
+        
+        // The index is built from every chapter on first use
+        if (!this.searchIndex) {
+            this.showSearchStatus('Indexing chapters...');
+        }
+        
+        try {
+            await this.buildSearchIndex();
+        } catch (error) {
+            console.error('Error building search index:', error);
+            this.showSearchStatus('Search is unavailable right now. Please try again later.');
+            return;
+        }
+        
+        // Ignore results for a query the user has already typed past
+        if (document.getElementById('searchInput').value !== query) return;
+        
+        const results = this.searchContent(query);
+        this.displaySearchResults(results, this.tokenizeSearchText(query));
+    }
+
+    /**
+     * Relative URL of a chapter's Markdown file, or null for an unknown chapter
+     */
+    getChapterPath(chapterId) {
+        const markdownFileName = this.chapterMap[chapterId];
+        return markdownFileName ? `./chapters/${markdownFileName}.md` : null;
+    }
+
+    /**
+     * Get the raw Markdown source of a chapter, from its saved copy unless
+     * options.fresh is set. options.signal cancels the request.
+     */
+    fetchChapterMarkdown(chapterId, { signal, fresh = false } = {}) {
+        const path = this.getChapterPath(chapterId);
+        if (!path) {
+            return Promise.reject(new ChapterLoadError('not-found', `No markdown file mapping for chapter: ${chapterId}`));
+        }
+        
+        return fresh
+            ? this.chapterLoader.fetch(path, { signal }).then(({ markdown }) => markdown)
+            : this.chapterLoader.load(path, { signal });
+    }
+
+    /**
+     * Build the full-text search index from every chapter's Markdown and the reader's notes.
+     * Resolves immediately once the index exists; concurrent callers share one build.
+     */
+    buildSearchIndex() {
+        if (!this.searchIndexPromise) {
+            const chapterIds = Object.keys(this.chapterMap);
+            
+            // Chapters are only fetched and split once; notes are re-read on every build
+            const chapterDocuments = this.chapterSearchDocuments
+                ? Promise.resolve(this.chapterSearchDocuments)
+                : Promise.all(
+                    chapterIds.map(chapterId => this.fetchChapterMarkdown(chapterId))
+                ).then(markdowns => {
+                    const docs = [];
+                    chapterIds.forEach((chapterId, i) => {
+                        docs.push(...this.extractSearchDocuments(chapterId, markdowns[i]));
+                    });
+                    this.chapterSearchDocuments = docs;
+                    return docs;
+                });
+            
+            this.searchIndexPromise = chapterDocuments.then(docs => {
+                this.searchIndex = this.createSearchIndex([...docs, ...this.getNoteSearchDocuments()]);
+                return this.searchIndex;
+            }).catch(error => {
+                // Allow a later search to try again
+                this.searchIndexPromise = null;
+                throw error;
+            });
+        }
+        
+        return this.searchIndexPromise;
+    }
+
+    /**
+     * Split a chapter's Markdown into one search document per section.
+     * Headings, prose and code are kept in separate fields so they can be weighted.
+     */
+    extractSearchDocuments(chapterId, markdown) {
+        const tokens = marked.lexer(markdown);
+        const titleToken = tokens.find(token => token.type === 'heading' && token.depth === 1);
+        const chapterTitle = this.chapterInfo[chapterId].title;
+        
+        const docs = [];
+        let current = null;
+        
+        // Generates the same heading IDs as convertMarkdownToHtml, used to scroll to a hit
+        const slugger = this.createHeadingSlugger(chapterId);
+        
+        const startSection = (heading, level, sectionId) => {
+            current = { chapterId, chapterTitle, heading, level, sectionId, prose: [], code: [] };
+            docs.push(current);
+        };
+        startSection(titleToken ? this.stripInlineMarkdown(titleToken.text) : chapterTitle, 1, null);
+        
+        const collectText = (token) => {
+            switch (token.type) {
+                case 'heading':
+                    if (token === titleToken) {
+                        // The chapter title already heads the first section
+                    } else if (token.depth === 2 || token.depth === 3) {
+                        const heading = this.stripInlineMarkdown(token.text);
+                        startSection(heading, token.depth, slugger(heading));
+                    } else {
+                        current.prose.push(this.stripInlineMarkdown(token.text));
+                    }
+                    break;
+                case 'code':
+                    // Quizzes and exercises would give their answers away in search results
+                    if (token.lang !== 'quiz' && token.lang !== 'exercise') {
+                        current.code.push(token.text);
+                    }
+                    break;
+                case 'table':
+                    token.header.forEach(cell => current.prose.push(this.stripInlineMarkdown(cell.text)));
+                    token.rows.forEach(row => row.forEach(cell => current.prose.push(this.stripInlineMarkdown(cell.text))));
+                    break;
+                case 'list':
+                    token.items.forEach(item => item.tokens.forEach(collectText));
+                    break;
+                case 'blockquote':
+                case 'comparison':
+                    token.tokens.forEach(collectText);
+                    break;
+                case 'paragraph':
+                case 'text':
+                case 'html':
+                    current.prose.push(this.stripInlineMarkdown(token.text));
+                    break;
+            }
+        };
+        tokens.forEach(collectText);
+        
+        return docs
+            .map(doc => ({ ...doc, prose: doc.prose.join(' '), code: doc.code.join('\n') }))
+            .filter((doc, i) => i === 0 || doc.prose || doc.code);
+    }
+
+    /**
+     * One search document per note, filed under the section it belongs to
+     */
+    getNoteSearchDocuments() {
+        return this.storage.get('notes')
+            .filter(note => this.chapterInfo[note.chapterId])
+            .map(note => {
+                // Fenced code is searchable as code; everything else counts as prose
+                const tokens = marked.lexer(note.text);
+                const code = tokens.filter(token => token.type === 'code').map(token => token.text);
+                const prose = tokens.filter(token => token.type !== 'code').map(token => token.raw);
+                return {
+                    chapterId: note.chapterId,
+                    chapterTitle: this.chapterInfo[note.chapterId].title,
+                    heading: note.title,
+                    level: 2,
+                    sectionId: note.sectionId,
+                    prose: this.stripInlineMarkdown(prose.join(' ').replace(/^\s*([#>]+|[-*+]|\d+\.)\s+/gm, '')),
+                    code: code.join('\n'),
+                    isNote: true
+                };
+            });
+    }
+
+    /**
+     * Reduce inline Markdown (emphasis, links, inline code, tags) to plain text
+     */
+    stripInlineMarkdown(text) {
+        return text
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/(\*\*|\*|`)/g, '')
+            .replace(/&(amp|lt|gt|quot|#39);/g, (entity, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" })[name])
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Split text into lowercase search terms. Underscores are kept so that
+     * identifiers like __init__ and snake_case names stay searchable.
+     */
+    tokenizeSearchText(text) {
+        return (text.toLowerCase().match(/[a-z0-9_]+/g) || []).filter(term => term.length > 1);
+    }
+
+    /**
+     * Create an inverted index over the search documents.
+     * Each posting records the term frequency per field of one document.
+     */
+    createSearchIndex(docs) {
+        const fields = Object.keys(this.searchFieldWeights);
+        const postings = new Map();
+        const totalLengths = Object.fromEntries(fields.map(field => [field, 0]));
+        
+        docs.forEach((doc, docIndex) => {
+            doc.lengths = {};
+            
+            fields.forEach(field => {
+                const text = field === 'title' ? doc.chapterTitle : doc[field];
+                const terms = this.tokenizeSearchText(text);
+                doc.lengths[field] = terms.length;
+                totalLengths[field] += terms.length;
+                
+                terms.forEach(term => {
+                    let termPostings = postings.get(term);
+                    if (!termPostings) {
+                        termPostings = new Map();
+                        postings.set(term, termPostings);
+                    }
+                    let frequencies = termPostings.get(docIndex);
+                    if (!frequencies) {
+                        frequencies = {};
+                        termPostings.set(docIndex, frequencies);
+                    }
+                    frequencies[field] = (frequencies[field] || 0) + 1;
+                });
+            });
+        });
+        
+        const averageLengths = Object.fromEntries(
+            fields.map(field => [field, totalLengths[field] / Math.max(docs.length, 1) || 1])
+        );
+        
+        return {
+            docs,
+            postings,
+            averageLengths,
+            // Sorted vocabulary for prefix lookups
+            terms: Array.from(postings.keys()).sort()
+        };
+    }
+
+    /**
+     * Find the indexed terms matching a query term: the term itself plus,
+     * at a reduced weight, every longer term it is a prefix of.
+     */
+    expandSearchTerm(queryTerm) {
+        const { terms, postings } = this.searchIndex;
+        const matches = [];
+        
+        if (postings.has(queryTerm)) {
+            matches.push({ term: queryTerm, weight: 1 });
+        }
+        
+        // Binary search for the first term >= queryTerm
+        let low = 0;
+        let high = terms.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (terms[mid] < queryTerm) low = mid + 1;
+            else high = mid;
+        }
+        
+        for (let i = low; i < terms.length && terms[i].startsWith(queryTerm); i++) {
+            if (terms[i] !== queryTerm) {
+                matches.push({ term: terms[i], weight: this.searchPrefixWeight });
+            }
+        }
+        
+        return matches;
+    }
+
+    /**
+     * Search the content index for matching results
+     */
+    searchContent(query) {
+        const queryTerms = [...new Set(this.tokenizeSearchText(query))];
+        if (queryTerms.length === 0) return [];
+        
+        const expandedTerms = queryTerms.map(term => this.expandSearchTerm(term));
+        
+        // Only documents containing at least one matching term are scored
+        const candidates = new Set();
+        expandedTerms.forEach(matches => {
+            matches.forEach(({ term }) => {
+                this.searchIndex.postings.get(term).forEach((_, docIndex) => candidates.add(docIndex));
+            });
+        });
+        
+        const scored = Array.from(candidates)
+            .map(docIndex => ({
+                doc: this.searchIndex.docs[docIndex],
+                score: this.calculateSearchScore(expandedTerms, docIndex)
+            }))
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score);
+        
+        // Limit hits per chapter so one long chapter doesn't crowd out the rest.
+        // Notes are counted separately so they aren't hidden by the chapter's own sections.
+        const results = [];
+        const hitsPerChapter = {};
+        for (const { doc, score } of scored) {
+            const key = doc.isNote ? `${doc.chapterId}:notes` : doc.chapterId;
+            hitsPerChapter[key] = (hitsPerChapter[key] || 0) + 1;
+            if (hitsPerChapter[key] > 2) continue;
+            
+            results.push({
+                chapterId: doc.chapterId,
+                title: doc.chapterTitle,
+                section: doc.level > 1 ? doc.heading : null,
+                sectionId: doc.sectionId,
+                isNote: Boolean(doc.isNote),
+                score,
+                snippet: this.generateSnippet(queryTerms, doc)
+            });
+            if (results.length === 8) break;
+        }
+        
+        return results;
+    }
+
+    /**
+     * Calculate relevance score for search results using BM25F: term
+     * frequencies are length-normalised and weighted per field, then
+     * saturated and scaled by how rare the term is across all sections.
+     * Sections matching only some of the query terms are penalised.
+     */
+    calculateSearchScore(expandedTerms, docIndex) {
+        const { docs, postings, averageLengths } = this.searchIndex;
+        const doc = docs[docIndex];
+        const k1 = 1.2;
+        const b = 0.75;
+        let score = 0;
+        let matchedTerms = 0;
+        
+        expandedTerms.forEach(matches => {
+            let termScore = 0;
+            
+            matches.forEach(({ term, weight }) => {
+                const termPostings = postings.get(term);
+                const frequencies = termPostings.get(docIndex);
+                if (!frequencies) return;
+                
+                let weightedFrequency = 0;
+                for (const [field, frequency] of Object.entries(frequencies)) {
+                    const lengthNorm = 1 - b + b * (doc.lengths[field] / averageLengths[field]);
+                    weightedFrequency += this.searchFieldWeights[field] * frequency / lengthNorm;
+                }
+                
+                const idf = Math.log(1 + (docs.length - termPostings.size + 0.5) / (termPostings.size + 0.5));
+                termScore = Math.max(termScore, weight * idf * (weightedFrequency * (k1 + 1)) / (weightedFrequency + k1));
+            });
+            
+            if (termScore > 0) {
+                score += termScore;
+                matchedTerms++;
+            }
+        });
+        
+        return score * Math.pow(matchedTerms / expandedTerms.length, 2);
+    }
+
+    /**
+     * Generate a relevant text snippet for search results
+     */
+    generateSnippet(queryTerms, doc) {
+        const matchesQuery = word => {
+            const normalized = word.toLowerCase();
+            return queryTerms.some(term => normalized.includes(term));
+        };
+        
+        // Prefer prose, but fall back to code when only the code matches
+        let content = doc.prose || doc.code;
+        if (!doc.prose.split(/\s+/).some(matchesQuery) && doc.code) {
+            content = doc.code;
+        }
+        
+        const words = content.split(/\s+/).filter(Boolean);
+        
+        // Find first occurrence of any query word
+        let startIndex = 0;
+        for (let i = 0; i < words.length; i++) {
+            if (matchesQuery(words[i])) {
+                startIndex = Math.max(0, i - 10);
+                break;
+            }
+        }
+        
+        const snippet = words.slice(startIndex, startIndex + 20).join(' ');
+        return startIndex + 20 < words.length ? snippet + '...' : snippet;
+    }
+
+    /**
+     * Escape text for HTML and wrap words starting with a query term in <mark>
+     */
+    highlightSearchTerms(text, queryTerms) {
+        if (queryTerms.length === 0) return this.escapeHtml(text);
+        
+        // Query terms only contain [a-z0-9_], so they can go into the pattern as-is
+        const pattern = new RegExp(`(?<![a-z0-9_])(?:${queryTerms.join('|')})[a-z0-9_]*`, 'gi');
+        
+        let html = '';
+        let lastIndex = 0;
+        for (const match of text.matchAll(pattern)) {
+            html += this.escapeHtml(text.slice(lastIndex, match.index));
+            html += `<mark>${this.escapeHtml(match[0])}</mark>`;
+            lastIndex = match.index + match[0].length;
+        }
+        return html + this.escapeHtml(text.slice(lastIndex));
+    }
+
+    /**
+     * Display search results in the UI
+     */
+    displaySearchResults(results, queryTerms = []) {
+        const searchResults = document.getElementById('searchResults');
+        const searchInput = document.getElementById('searchInput');
+        
+        if (results.length === 0) {
+            this.showSearchStatus('No results found');
+            return;
+        }
+        
+        // Each result is an option of the listbox the search input controls
+        const html = results.map((result, i) => `
+            <div class="search-result-item" id="search-result-${i}" role="option" aria-selected="false" data-chapter="${result.chapterId}" data-section="${result.sectionId || ''}">
+                <div class="search-result-title">
+                    ${result.isNote ? '<span class="search-result-badge">Your note</span>' : ''}
+                    ${this.escapeHtml(result.title)}
+                    ${result.section ? `<span class="search-result-separator" aria-hidden="true">›</span> <span class="search-result-section">${this.escapeHtml(result.section)}</span>` : ''}
+                </div>
+                <div class="search-result-snippet">${this.highlightSearchTerms(result.snippet, queryTerms)}</div>
+            </div>
+        `).join('');
+        
+        searchResults.setAttribute('role', 'listbox');
+        searchResults.innerHTML = this.sanitizer.sanitize(html);
+        searchInput.setAttribute('aria-expanded', 'true');
+        searchInput.removeAttribute('aria-activedescendant');
+        this.announceSearchStatus(`${results.length} result${results.length === 1 ? '' : 's'} found`);
+    }
+
+    /**
+     * Replace the search results with a message, or clear them with an empty one.
+     * The message is also read out to screen readers unless options.announce is false.
+     */
+    showSearchStatus(message, { announce = true } = {}) {
+        const searchResults = document.getElementById('searchResults');
+        const searchInput = document.getElementById('searchInput');
+        
+        // Only a list of results is a listbox
+        searchResults.removeAttribute('role');
+        searchResults.innerHTML = message ? `<div class="search-status">${this.escapeHtml(message)}</div>` : '';
+        searchInput.setAttribute('aria-expanded', 'false');
+        searchInput.removeAttribute('aria-activedescendant');
+        this.announceSearchStatus(announce ? message : '');
+    }
+
+    /**
+     * Tell screen readers about a change in the search results
+     */
+    announceSearchStatus(message) {
+        const status = document.getElementById('searchStatus');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    /**
+     * Setup progress tracking
+     */
+    setupProgressTracking() {
+        // Restore completion marks saved in earlier sessions
+        this.completedChapters.forEach(chapterId => this.updateNavLinkCompletion(chapterId, true));
+        
+        // Initialize progress from completed chapters
+        this.updateProgress();
+    }
+
+    /**
+     * Setup progress export to a JSON file and import from one
+     */
+    setupProgressTransfer() {
+        const exportButton = document.getElementById('exportProgress');
+        const importButton = document.getElementById('importProgress');
+        const fileInput = document.getElementById('importProgressFile');
+        
+        exportButton?.addEventListener('click', () => this.exportProgress());
+        importButton?.addEventListener('click', () => fileInput.click());
+        
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = ''; // Allow importing the same file again
+            if (file) {
+                await this.importProgress(file);
+            }
+        });
+    }
+
+    /**
+     * Download the learner's progress as a JSON file
+     */
+    exportProgress() {
+        this.saveReadingProgress();
+        const snapshot = this.storage.exportData();
+        const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+        this.downloadBlob(blob, `python-handbook-progress-${snapshot.exportedAt.slice(0, 10)}.json`);
+        
+        this.showProgressStatus('Progress exported.');
+    }
+
+    /**
+     * Validate a progress export file and merge it into the saved progress
+     */
+    async importProgress(file) {
+        try {
+            let snapshot;
+            try {
+                snapshot = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error('This file is not valid JSON.');
+            }
+            
+            const before = this.completedChapters.size;
+            this.saveReadingProgress();
+            this.storage.importData(snapshot);
+            this.refreshCompletionState();
+            
+            const added = this.completedChapters.size - before;
+            this.showProgressStatus(`Progress imported: ${added} new chapter${added === 1 ? '' : 's'} completed.`);
+        } catch (error) {
+            console.error('Error importing progress:', error);
+            this.showProgressStatus(error.message, true);
+        }
+    }
+
+    /**
+     * Re-sync completion checkboxes, sidebar marks and the progress bar with storage
+     */
+    refreshCompletionState() {
+        this.completedChapters = new Set(Object.keys(this.storage.get('completedChapters')));
+        
+        // Carry on from the imported reading progress
+        if (this.readingChapter) {
+            const saved = this.storage.get('sectionProgress')[this.readingChapter.chapterId];
+            this.readingChapter.progress = { ...saved, total: this.readingChapter.sections.length, sections: { ...saved?.sections } };
+        }
+        
+        this.chapters.forEach(chapterId => {
+            this.updateNavLinkCompletion(chapterId, this.completedChapters.has(chapterId));
+            this.updateNavLinkProgress(chapterId);
+        });
+        document.querySelectorAll('.chapter-checkbox').forEach(checkbox => {
+            checkbox.checked = this.completedChapters.has(checkbox.dataset.chapter);
+        });
+        
+        // Imported quiz results may unlock the current chapter's checkbox
+        const container = document.getElementById(this.currentChapter);
+        if (container) {
+            this.updateQuizSummary(this.currentChapter, container);
+            this.updateExerciseSummary(this.currentChapter, container);
+            this.updateReadingSummary(this.currentChapter, container);
+            this.showPrerequisiteWarning(this.currentChapter, container);
+            this.applyHighlights(this.currentChapter, container);
+            container.querySelectorAll('.heading-bookmark').forEach(button => {
+                const sectionId = button.closest('h2, h3').id;
+                const isBookmarked = this.storage.get('bookmarks').some(bookmark => bookmark.id === `${this.currentChapter}/${sectionId}`);
+                this.updateBookmarkButton(button, isBookmarked);
+            });
+            
+            // Show imported notes in place of the old ones
+            container.querySelectorAll('.note, .heading-note').forEach(element => element.remove());
+            this.setupChapterNotes(this.currentChapter, container);
+        }
+        this.renderBookmarksPanel();
+        this.handleNotesChange();
+        
+        this.updateProgress();
+    }
+
+    /**
+     * Show a short message below the progress bar
+     */
+    showProgressStatus(message, isError = false) {
+        const status = document.getElementById('progressStatus');
+        if (!status) return;
+        
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+        
+        clearTimeout(this.progressStatusTimeout);
+        this.progressStatusTimeout = setTimeout(() => {
+            status.textContent = '';
+        }, 5000);
+    }
+
+    /**
+     * Register the service worker that keeps the handbook readable offline,
+     * and listen for new versions of the app and its chapters
+     */
+    setupOfflineSupport() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        const downloadSection = document.getElementById('offlineDownload');
+        const downloadButton = document.getElementById('downloadOffline');
+        if (downloadSection) downloadSection.hidden = false;
+        downloadButton?.addEventListener('click', () => this.downloadForOffline());
+        
+        navigator.serviceWorker.register('service-worker.js').then(registration => {
+            this.serviceWorkerRegistration = registration;
+            
+            // A waiting service worker means the app itself has changed
+            const offerUpdate = (worker) => {
+                this.showUpdateNotice('A new version of the handbook is available.', 'Reload', () => {
+                    this.reloadOnControllerChange = true;
+                    worker.postMessage({ type: 'skip-waiting' });
+                });
+            };
+            
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                offerUpdate(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        offerUpdate(worker);
+                    }
+                });
+            });
+            
+            // Fill in chapters that aren't cached yet unless the reader is saving data;
+            // cached ones are refreshed as they're opened
+            if (!navigator.connection?.saveData) {
+                navigator.serviceWorker.ready.then(ready => {
+                    ready.active.postMessage({ type: 'cache-chapters', urls: this.getChapterUrls(), missingOnly: true });
+                });
+            }
+        }).catch(error => {
+            console.error('Service worker registration failed:', error);
+            if (downloadSection) downloadSection.hidden = true;
+        });
+        
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloadOnControllerChange) {
+                this.reloadOnControllerChange = false;
+                window.location.reload();
+            }
+        });
+        
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data.type === 'chapter-updated') {
+                const fileName = decodeURIComponent(new URL(e.data.url).pathname.split('/').pop().replace(/\.md$/, ''));
+                const chapterId = Object.keys(this.chapterMap).find(id => this.chapterMap[id] === fileName);
+                // Refresh the saved copy too; this reports the update if it differs
+                if (chapterId) {
+                    this.revalidateChapter(chapterId);
+                }
+            }
+        });
+    }
+
+    /**
+     * Absolute URLs of every chapter's Markdown file, as fetched by fetchChapterMarkdown
+     */
+    getChapterUrls() {
+        return Object.values(this.chapterMap).map(file => new URL(`./chapters/${file}.md`, document.baseURI).href);
+    }
+
+    /**
+     * Download every chapter into the offline cache, showing progress below the button
+     */
+    async downloadForOffline() {
+        const button = document.getElementById('downloadOffline');
+        const registration = this.serviceWorkerRegistration;
+        
+        if (!registration || !registration.active) {
+            this.showOfflineStatus('Offline support is still starting up. Try again in a moment.', true);
+            return;
+        }
+        
+        button.disabled = true;
+        this.showOfflineStatus('Downloading chapters...');
+        
+        const result = await new Promise(resolve => {
+            const channel = new MessageChannel();
+            channel.port1.onmessage = (e) => {
+                if (e.data.type === 'progress') {
+                    this.showOfflineStatus(`Downloading chapters... ${e.data.done} of ${e.data.total}`);
+                } else if (e.data.type === 'complete') {
+                    resolve(e.data);
+                }
+            };
+            registration.active.postMessage({ type: 'cache-chapters', urls: this.getChapterUrls() }, [channel.port2]);
+        });
+        
+        if (result.failed > 0) {
+            this.showOfflineStatus(`${result.failed} of ${result.total} chapters couldn't be downloaded. Try again when you're online.`, true);
+        } else {
+            this.showOfflineStatus(`All ${result.total} chapters are available offline.`);
+        }
+        button.disabled = false;
+    }
+
+    /**
+     * Show a message below the offline download button
+     */
+    showOfflineStatus(message, isError = false) {
+        const status = document.getElementById('offlineStatus');
+        if (!status) return;
+        
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    /**
+     * React to a newer copy of a chapter being found
+     */
+    handleChapterUpdate(chapterId) {
+        // The rendered chapter and the search index were built from the old text
+        this.cachedChapters.delete(chapterId);
+        this.chapterSearchDocuments = null;
+        this.searchIndex = null;
+        this.searchIndexPromise = null;
+        
+        if (chapterId === this.currentChapter) {
+            const title = this.chapterInfo[chapterId].title;
+            this.showUpdateNotice(`"${title}" has been updated.`, 'Show latest', async () => {
+                try {
+                    const markdown = await this.fetchChapterMarkdown(chapterId, { fresh: true });
+                    if (this.currentChapter !== chapterId) return;
+                    
+                    // Stay at the same place in the chapter
+                    this.pendingScrollY = window.scrollY;
+                    this.showChapterMarkdown(chapterId, markdown);
+                } catch (error) {
+                    console.error(`Error updating chapter ${chapterId}:`, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Show the update notice, or another notice built like it, with a single action button
+     */
+    showUpdateNotice(message, actionLabel, onAction, noticeId = 'updateNotice') {
+        const notice = document.getElementById(noticeId);
+        if (!notice) return;
+        
+        const action = notice.querySelector('.update-notice-action');
+        notice.querySelector('.update-notice-text').textContent = message;
+        action.textContent = actionLabel;
+        
+        // Replace any handlers from an earlier notice
+        action.onclick = () => {
+            notice.hidden = true;
+            onAction();
+        };
+        notice.querySelector('.update-notice-close').onclick = () => {
+            notice.hidden = true;
+        };
+        
+        notice.hidden = false;
+    }
+
+    /**
+     * Print / Export: renders the current chapter or chosen chapters into one
+     * document with a table of contents, which the browser prints or saves as
+     * PDF, or packages them as an EPUB for e-readers
+     */
+    setupPrinting() {
+        const overlay = document.getElementById('printOverlay');
+        if (!overlay) return;
+        
+        document.getElementById('printBtn')?.addEventListener('click', () => this.openPrintDialog());
+        
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay || e.target.closest('.print-close')) {
+                this.closePrintDialog();
+            } else if (e.target.closest('.print-select-all') || e.target.closest('.print-select-none')) {
+                const checked = Boolean(e.target.closest('.print-select-all'));
+                overlay.querySelectorAll('input[name="printChapter"]').forEach(checkbox => {
+                    checkbox.checked = checked;
+                });
+            } else if (e.target.closest('.print-start') || e.target.closest('.epub-start')) {
+                const chapterIds = this.getPrintSelection();
+                if (chapterIds.length === 0) {
+                    this.showPrintStatus('Choose at least one chapter to export.', true);
+                } else if (e.target.closest('.epub-start')) {
+                    this.exportEpub(chapterIds);
+                } else {
+                    this.printChapters(chapterIds);
+                }
+            }
+        });
+        
+        overlay.addEventListener('change', (e) => {
+            if (e.target.name === 'printScope') {
+                document.getElementById('printChapters').hidden = e.target.value !== 'selected';
+            }
+        });
+        
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') {
+                this.trapFocus(overlay.querySelector('.print-dialog'), e);
+            }
+        });
+        
+        window.addEventListener('afterprint', () => this.finishPrinting());
+    }
+
+    /**
+     * Show the print dialog. Chapters of the current learning path start out selected.
+     */
+    openPrintDialog() {
+        const overlay = document.getElementById('printOverlay');
+        if (!overlay || !overlay.classList.contains('hidden')) return;
+        
+        const list = document.getElementById('printChapters');
+        if (!list.querySelector('.print-chapter-list')) {
+            this.renderPrintChapterList(list);
+        }
+        
+        this.printReturnFocus = document.activeElement;
+        this.showPrintStatus('');
+        overlay.classList.remove('hidden');
+        overlay.querySelector('.print-close').focus();
+    }
+
+    /**
+     * Hide the print dialog and give focus back to where it was
+     */
+    closePrintDialog() {
+        const overlay = document.getElementById('printOverlay');
+        if (!overlay || overlay.classList.contains('hidden')) return;
+        
+        overlay.classList.add('hidden');
+        
+        const returnFocus = this.printReturnFocus;
+        this.printReturnFocus = null;
+        if (returnFocus?.isConnected && returnFocus !== document.body) {
+            returnFocus.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * List every chapter from the manifest as a checkbox, grouped by part
+     */
+    renderPrintChapterList(list) {
+        const selected = new Set(this.pathChapters);
+        
+        list.innerHTML = `
+            <div class="print-chapter-actions">
+                <button type="button" class="btn btn--secondary btn--sm print-select-all">Select all</button>
+                <button type="button" class="btn btn--secondary btn--sm print-select-none">Clear</button>
+            </div>
+            <div class="print-chapter-list">
+                ${this.chapterManifest.map(part => `
+                    <fieldset class="print-part">
+                        <legend>${this.escapeHtml(part.part)}</legend>
+                        ${part.chapters.map(chapter => `
+                            <label class="print-chapter-option">
+                                <input type="checkbox" name="printChapter" value="${chapter.id}"${selected.has(chapter.id) ? ' checked' : ''}>
+                                ${this.escapeHtml(chapter.title)}
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Chapter IDs to print, in manifest order
+     */
+    getPrintSelection() {
+        const scope = document.querySelector('input[name="printScope"]:checked');
+        if (!scope || scope.value === 'current') {
+            return [this.currentChapter];
+        }
+        
+        const checked = new Set(Array.from(document.querySelectorAll('input[name="printChapter"]:checked'), checkbox => checkbox.value));
+        return this.chapters.filter(chapterId => checked.has(chapterId));
+    }
+
+    /**
+     * Load the chosen chapters' Markdown and hand it to `task`, showing
+     * progress and any problems in the print dialog
+     */
+    async exportChapters(chapterIds, task) {
+        const buttons = document.querySelectorAll('.print-start, .epub-start');
+        buttons.forEach(button => {
+            button.disabled = true;
+        });
+        this.showPrintStatus(chapterIds.length > 1 ? `Preparing ${chapterIds.length} chapters...` : 'Preparing the chapter...');
+        
+        try {
+            const chapters = await Promise.all(chapterIds.map(async chapterId => ({
+                chapterId,
+                markdown: await this.fetchChapterMarkdown(chapterId)
+            })));
+            await task(chapters);
+        } catch (error) {
+            console.error('Error exporting chapters:', error);
+            const message = error.reason === 'offline'
+                ? "Some of these chapters haven't been saved for offline reading yet."
+                : "Some of these chapters couldn't be loaded.";
+            this.showPrintStatus(`${message} Please try again.`, true);
+        } finally {
+            buttons.forEach(button => {
+                button.disabled = false;
+            });
+        }
+    }
+
+    /**
+     * Render chapters into the print document, then open the browser's print dialog
+     */
+    printChapters(chapterIds) {
+        return this.exportChapters(chapterIds, async chapters => {
+            this.finishPrinting();
+            const printDocument = this.buildPrintDocument(chapters);
+            document.body.appendChild(printDocument);
+            await this.highlightCodeUnder(printDocument);
+            
+            // Browsers name saved PDFs after the page title
+            this.printTitle = document.title;
+            document.title = chapterIds.length === 1
+                ? `${this.chapterInfo[chapterIds[0]].title} - Python Mastery Handbook`
+                : 'Python Mastery Handbook';
+            document.body.classList.add('printing');
+            
+            this.closePrintDialog();
+            window.print();
+        });
+    }
+
+    /**
+     * Package chapters as an EPUB and download it
+     */
+    exportEpub(chapterIds) {
+        return this.exportChapters(chapterIds, async chapters => {
+            const { blob, styled } = await this.buildEpub(chapters);
+            const name = chapterIds.length === 1 ? `python-handbook-${chapterIds[0]}` : 'python-handbook';
+            this.downloadBlob(blob, `${name}.epub`);
+            this.showPrintStatus(styled ? 'EPUB downloaded.' : "EPUB downloaded without its styling, which couldn't be loaded.");
+        });
+    }
+
+    /**
+     * Build an EPUB 3 book from chapters in the order given: one XHTML file per
+     * chapter, a navigation document listing chapters and their sections, and
+     * the stylesheet from epub-styles.css. Resolves with { blob, styled }.
+     */
+    async buildEpub(chapters) {
+        // E-readers have sensible defaults, so the book is still worth having
+        // when the stylesheet can't be loaded (say, offline before it was cached)
+        let stylesheet = '';
+        try {
+            const response = await fetch('./epub-styles.css');
+            if (response.ok) {
+                stylesheet = await response.text();
+            }
+        } catch (error) {
+            console.warn('Exporting the EPUB without its stylesheet:', error);
+        }
+        
+        const title = chapters.length === 1
+            ? this.chapterInfo[chapters[0].chapterId].title
+            : 'Python Mastery Handbook';
+        const files = [];
+        for (const { chapterId, markdown } of chapters) {
+            files.push({ chapterId, ...await this.renderEpubChapter(chapterId, markdown) });
+        }
+        
+        const zip = new ZipArchive();
+        // Must come first, so readers can recognise the file without unpacking it
+        zip.addFile('mimetype', 'application/epub+zip');
+        zip.addFile('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+    <rootfiles>
+        <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+    </rootfiles>
+</container>`);
+        zip.addFile('OEBPS/content.opf', this.renderEpubPackage(title, files));
+        zip.addFile('OEBPS/nav.xhtml', this.renderEpubNavigation(files));
+        zip.addFile('OEBPS/styles.css', stylesheet);
+        files.forEach(file => zip.addFile(`OEBPS/${file.chapterId}.xhtml`, file.xhtml));
+        
+        return { blob: zip.toBlob('application/epub+zip'), styled: Boolean(stylesheet) };
+    }
+
+    /**
+     * Render a chapter as an XHTML document with its code highlighted into
+     * static markup. Controls that only work in the app are left out.
+     * Returns the document and the chapter's h2 sections for the navigation.
+     */
+    async renderEpubChapter(chapterId, markdown) {
+        const container = document.createElement('div');
+        container.innerHTML = this.convertMarkdownToHtml(markdown, chapterId);
+        this.renderStaticChapter(container, chapterId);
+        
+        await this.highlightCodeUnder(container);
+        container.querySelectorAll('button, .code-actions, .code-comparison-tabs').forEach(element => element.remove());
+        container.querySelectorAll('[tabindex]').forEach(element => element.removeAttribute('tabindex'));
+        
+        const sections = Array.from(container.querySelectorAll('h2[id]'), heading => ({
+            id: heading.id,
+            title: heading.textContent.trim()
+        }));
+        const content = new XMLSerializer().serializeToString(container.firstElementChild);
+        
+        return {
+            sections,
+            xhtml: this.renderEpubDocument(this.chapterInfo[chapterId].title, content)
+        };
+    }
+
+    /**
+     * Wrap body markup in an XHTML document that uses the book's stylesheet
+     */
+    renderEpubDocument(title, body) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+    <meta charset="UTF-8"/>
+    <title>${this.escapeHtml(title)}</title>
+    <link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+    }
+
+    /**
+     * The EPUB navigation document: chapters with their sections nested below
+     */
+    renderEpubNavigation(files) {
+        const items = files.map(({ chapterId, sections }) => {
+            const href = `${chapterId}.xhtml`;
+            const sectionItems = sections.map(section =>
+                `<li><a href="${href}#${section.id}">${this.escapeHtml(section.title)}</a></li>`
+            ).join('');
+            
+            return `<li>
+                <a href="${href}">${this.escapeHtml(this.chapterInfo[chapterId].title)}</a>
+                ${sectionItems ? `<ol>${sectionItems}</ol>` : ''}
+            </li>`;
+        }).join('');
+        
+        return this.renderEpubDocument('Contents', `<nav epub:type="toc" id="toc">
+    <h1>Contents</h1>
+    <ol>${items}</ol>
+</nav>`);
+    }
+
+    /**
+     * The EPUB package document: book metadata, every file in the book and the reading order
+     */
+    renderEpubPackage(title, files) {
+        const bookId = window.crypto?.randomUUID ? `urn:uuid:${window.crypto.randomUUID()}` : `urn:python-handbook:${Date.now()}`;
+        // EPUB wants the modification time without milliseconds
+        const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        
+        const manifest = files.map(({ chapterId }) =>
+            `<item id="chapter-${chapterId}" href="${chapterId}.xhtml" media-type="application/xhtml+xml"/>`
+        ).join('\n        ');
+        const spine = files.map(({ chapterId }) => `<itemref idref="chapter-${chapterId}"/>`).join('\n        ');
+        
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <dc:identifier id="book-id">${bookId}</dc:identifier>
+        <dc:title>${this.escapeHtml(title)}</dc:title>
+        <dc:language>en</dc:language>
+        <meta property="dcterms:modified">${modified}</meta>
+    </metadata>
+    <manifest>
+        <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+        <item id="styles" href="styles.css" media-type="text/css"/>
+        ${manifest}
+    </manifest>
+    <spine>
+        <itemref idref="nav"/>
+        ${spine}
+    </spine>
+</package>`;
+    }
+
+    /**
+     * Save a Blob through a temporary download link
+     */
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Revoking straight away can cancel a large download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    /**
+     * Build the printable document: a table of contents followed by each
+     * chapter, with IDs prefixed so they don't clash with the open chapter
+     */
+    buildPrintDocument(chapters) {
+        const printDocument = document.createElement('div');
+        printDocument.id = 'printDocument';
+        printDocument.className = 'print-document';
+        
+        const sections = chapters.map(({ chapterId, markdown }) => {
+            const section = document.createElement('section');
+            section.id = `print-${chapterId}`;
+            section.className = 'print-chapter';
+            section.innerHTML = this.convertMarkdownToHtml(markdown, chapterId);
+            this.renderStaticChapter(section, chapterId);
+            
+            section.querySelectorAll('[id]').forEach(element => {
+                element.id = `print-${chapterId}-${element.id}`;
+            });
+            return section;
+        });
+        
+        const tocItems = sections.map((section, i) => {
+            const { chapterId } = chapters[i];
+            const headings = Array.from(section.querySelectorAll('h2[id]'), heading =>
+                `<li><a href="#${heading.id}">${this.escapeHtml(heading.textContent.trim())}</a></li>`
+            ).join('');
+            
+            return `<li>
+                <a href="#${section.id}">${this.escapeHtml(this.chapterInfo[chapterId].title)}</a>
+                ${headings ? `<ol>${headings}</ol>` : ''}
+            </li>`;
+        }).join('');
+        
+        printDocument.innerHTML = `
+            <nav class="print-toc" aria-label="Contents">
+                <p class="print-handbook-title">Python Mastery Handbook</p>
+                <h1>Contents</h1>
+                <ol>${tocItems}</ol>
+            </nav>
+        `;
+        printDocument.append(...sections);
+        return printDocument;
+    }
+
+    /**
+     * Make a rendered chapter work on paper and e-readers: quizzes become
+     * numbered questions with their answers and explanations listed at the end
+     * of the chapter, and exercises lose their Check controls and empty results
+     */
+    renderStaticChapter(container, chapterId) {
+        const content = container.querySelector('.chapter-content') || container;
+        const answers = [];
+        
+        content.querySelectorAll('.quiz:not(.quiz-invalid)').forEach((quiz, i) => {
+            const { correct, answers: accepted } = this.quizAnswers.get(`${chapterId}:${quiz.dataset.quiz}`);
+            const options = Array.from(quiz.querySelectorAll('.quiz-option span'), span => span.innerHTML);
+            const explanation = quiz.querySelector('.quiz-explanation');
+            
+            const answer = correct.length > 0
+                ? correct.map(index => `${String.fromCharCode(65 + index)}. ${options[index]}`).join('; ')
+                : accepted.map(text => this.escapeHtml(text)).join(' or ');
+            answers.push(`<li>
+                <p>${answer}</p>
+                ${explanation ? `<p>${explanation.innerHTML}</p>` : ''}
+            </li>`);
+            
+            quiz.querySelector('.quiz-label').prepend(`Question ${i + 1}: `);
+            
+            // Options become a lettered list the answers can refer to
+            const optionGroup = quiz.querySelector('.quiz-options');
+            if (optionGroup) {
+                const hint = optionGroup.querySelector('.quiz-hint');
+                optionGroup.outerHTML = `<ol class="quiz-choices" type="A">
+                    ${options.map(option => `<li>${option}</li>`).join('')}
+                </ol>${hint ? hint.outerHTML : ''}`;
+            }
+            quiz.querySelector('.quiz-answer')?.replaceWith(Object.assign(document.createElement('p'), {
+                className: 'quiz-blank',
+                textContent: 'Your answer: ____________________'
+            }));
+            
+            quiz.querySelectorAll('.quiz-check, .quiz-feedback, .quiz-explanation').forEach(element => element.remove());
+        });
+        
+        content.querySelectorAll('.exercise-actions, .exercise-results, .exercise-output').forEach(element => element.remove());
+        
+        if (answers.length > 0) {
+            content.insertAdjacentHTML('beforeend', `
+                <section class="quiz-answers">
+                    <h2>Answers</h2>
+                    <ol>${answers.join('')}</ol>
+                </section>
+            `);
+        }
+    }
+
+    /**
+     * Highlight the code under an element once Prism has loaded the languages it
+     * uses. Resolves even when a language can't be loaded; that code stays plain.
+     */
+    highlightCodeUnder(element) {
+        if (!window.Prism) return Promise.resolve();
+        
+        const languages = [...new Set(Array.from(element.querySelectorAll('code[class*="language-"]'), code =>
+            code.className.match(/language-([\w#+.-]+)/)[1]
+        ))];
+        const autoloader = window.Prism.plugins?.autoloader;
+        
+        return new Promise(resolve => {
+            if (autoloader && languages.length) {
+                autoloader.loadLanguages(languages, resolve, resolve);
+            } else {
+                resolve();
+            }
+        }).then(() => window.Prism.highlightAllUnder(element));
+    }
+
+    /**
+     * Remove the print document once the browser has printed it
+     */
+    finishPrinting() {
+        document.getElementById('printDocument')?.remove();
+        document.body.classList.remove('printing');
+        
+        if (this.printTitle !== null) {
+            document.title = this.printTitle;
+            this.printTitle = null;
+        }
+    }
+
+    /**
+     * Show a message in the print dialog
+     */
+    showPrintStatus(message, isError = false) {
+        const status = document.getElementById('printStatus');
+        if (!status) return;
+        
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Setup mobile navigation
+     */
+    setupMobileNavigation() {
+        const sidebarToggle = document.getElementById('sidebarToggle');
+        const sidebar = document.getElementById('sidebar');
+        
+        sidebarToggle?.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggleSidebar();
+        });
+        
+        // Close sidebar when clicking on a nav link on mobile
+        const navLinks = sidebar.querySelectorAll('.nav-link');
+        navLinks.forEach(link => {
+            link.addEventListener('click', () => {
+                if (window.innerWidth < 768) {
+                    sidebar.classList.remove('open');
+                    document.body.classList.remove('sidebar-open');
+                }
+            });
+        });
+        
+        // Close sidebar when clicking outside
+        document.addEventListener('click', (e) => {
+            if (window.innerWidth < 768 && 
+                sidebar.classList.contains('open') && 
+                !sidebar.contains(e.target) && 
+                e.target !== sidebarToggle) {
+                sidebar.classList.remove('open');
+                document.body.classList.remove('sidebar-open');
+            }
+        });
+        
+        // Create mobile bottom navigation
+        this.createMobileBottomNav();
+    }
+    
+    /**
+     * Slide the sidebar in or out on small screens, or collapse it on wider ones
+     */
+    toggleSidebar(open) {
+        const sidebar = document.getElementById('sidebar');
+        // Matches the breakpoint where the stylesheet turns the sidebar into a drawer
+        if (window.innerWidth <= 768) {
+            sidebar.classList.toggle('open', open);
+            document.body.classList.toggle('sidebar-open', sidebar.classList.contains('open'));
+        } else {
+            document.body.classList.toggle('sidebar-collapsed', open === undefined ? undefined : !open);
+        }
+    }
+    
+    /**
+     * Create mobile bottom navigation bar
+     */
+    createMobileBottomNav() {
+        // Only create if it doesn't already exist
+        if (document.querySelector('.mobile-bottom-nav')) {
+            return;
+        }
+        
+        const bottomNav = document.createElement('nav');
+        bottomNav.className = 'mobile-bottom-nav';
+        
+        // Home button
+        const homeButton = document.createElement('a');
+        homeButton.className = 'mobile-nav-item';
+        homeButton.href = this.buildRoute('welcome');
+        homeButton.innerHTML = `
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M3 9l9-7 9 7v11a2 2 0 01-2 2H5a2 2 0 01-2-2V9z"/>
+                <path d="M9 22V12h6v10"/>
+            </svg>
+            <span>Home</span>
+        `;
+        homeButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.navigateToChapter('welcome');
+        });
+        
+        // Previous chapter button
+        const prevButton = document.createElement('a');
+        prevButton.className = 'mobile-nav-item';
+        prevButton.href = '#';
+        prevButton.innerHTML = `
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M19 12H5M12 19l-7-7 7-7"/>
+            </svg>
+            <span>Previous</span>
+        `;
+        prevButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.navigateToPreviousChapter();
+        });
+        
+        // Next chapter button
+        const nextButton = document.createElement('a');
+        nextButton.className = 'mobile-nav-item';
+        nextButton.href = '#';
+        nextButton.innerHTML = `
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M5 12h14M12 5l7 7-7 7"/>
+            </svg>
+            <span>Next</span>
+        `;
+        nextButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.navigateToNextChapter();
+        });
+        
+        // Add all buttons to navigation
+        bottomNav.appendChild(homeButton);
+        bottomNav.appendChild(prevButton);
+        bottomNav.appendChild(nextButton);
+        
+        // Add navigation to body
+        document.body.appendChild(bottomNav);
+    }
+
+    /**
+     * Prefetch chapters the reader is likely to open next: the neighbours of
+     * the open chapter, and chapters hovered or focused in the sidebar
+     */
+    setupChapterPrefetching() {
+        const sidebarNav = document.getElementById('sidebarNav');
+        if (!sidebarNav) return;
+        
+        // Hovering for a moment is a good sign of a click to come
+        let hoverTimer = null;
+        const prefetchLink = (e) => {
+            const link = e.target.closest('.nav-link');
+            clearTimeout(hoverTimer);
+            if (link) {
+                hoverTimer = setTimeout(() => this.prefetchChapters([link.dataset.chapter], { urgent: true }), 100);
+            }
+        };
+        sidebarNav.addEventListener('mouseover', prefetchLink);
+        sidebarNav.addEventListener('focusin', prefetchLink);
+        sidebarNav.addEventListener('mouseleave', () => clearTimeout(hoverTimer));
+    }
+
+    /**
+     * Queue chapters to be fetched and rendered when the browser is idle.
+     * Urgent chapters jump the queue.
+     */
+    prefetchChapters(chapterIds, { urgent = false } = {}) {
+        const wanted = chapterIds.filter(chapterId =>
+            chapterId && this.chapterMap[chapterId] && !this.cachedChapters.has(chapterId)
+        );
+        
+        this.prefetchQueue = this.prefetchQueue.filter(chapterId => !wanted.includes(chapterId));
+        this.prefetchQueue = urgent ? [...wanted, ...this.prefetchQueue] : [...this.prefetchQueue, ...wanted];
+        
+        if (!this.prefetching) {
+            this.runPrefetchQueue();
+        }
+    }
+
+    /**
+     * Work through the prefetch queue one chapter at a time
+     */
+    async runPrefetchQueue() {
+        this.prefetching = true;
+        
+        while (this.prefetchQueue.length > 0) {
+            await this.whenIdle();
+            const chapterId = this.prefetchQueue.shift();
+            if (chapterId && !this.cachedChapters.has(chapterId)) {
+                await this.prefetchChapter(chapterId);
+            }
+        }
+        
+        this.prefetching = false;
+    }
+
+    /**
+     * Fetch a chapter and render it into the chapter cache, so opening it skips the spinner
+     */
+    async prefetchChapter(chapterId) {
+        const saved = this.chapterLoader.getCached(this.getChapterPath(chapterId));
+        
+        // Readers saving data only get chapters that are already downloaded
+        if (!saved && navigator.connection?.saveData) return;
+        
+        let markdown;
+        try {
+            markdown = await this.fetchChapterMarkdown(chapterId, { fresh: !navigator.connection?.saveData });
+        } catch (error) {
+            if (!saved) return;
+            markdown = saved.markdown;
+        }
+        
+        // Rendering a long chapter takes a while, so wait for another idle moment
+        await this.whenIdle();
+        if (!this.cachedChapters.has(chapterId)) {
+            this.cachedChapters.set(chapterId, this.convertMarkdownToHtml(markdown, chapterId));
+        }
+    }
+
+    /**
+     * Resolve when the browser has nothing more important to do
+     */
+    whenIdle() {
+        return new Promise(resolve => {
+            if ('requestIdleCallback' in window) {
+                requestIdleCallback(() => resolve(), { timeout: 2000 });
+            } else {
+                setTimeout(resolve, 200);
+            }
+        });
+    }
+
+    /**
+     * Setup chapter completion tracking
+     */
+    setupChapterCompletion() {
+        document.addEventListener('change', (e) => {
+            if (e.target.classList.contains('chapter-checkbox')) {
+                const chapterId = e.target.dataset.chapter;
+                const isCompleted = e.target.checked;
+                
+                this.toggleChapterCompletion(chapterId, isCompleted);
+            }
+        });
+        
+        // Highlight the section in view, at most once per frame
+        let scrollFrame = null;
+        window.addEventListener('scroll', () => {
+            if (scrollFrame) return;
+            scrollFrame = requestAnimationFrame(() => {
+                scrollFrame = null;
+                this.updateSectionHighlightOnScroll();
+            });
+        }, { passive: true });
+    }
+    
+    /**
+     * Update active section highlight based on scroll position
+     */
+    updateSectionHighlightOnScroll() {
+        const container = document.getElementById(this.currentChapter);
+        if (!container) return;
+        
+        const headings = container.querySelectorAll('.chapter-content h2[id], .chapter-content h3[id]');
+        if (headings.length === 0) return;
+        
+        // The current section is the last heading scrolled past the sticky header
+        let sectionInView = null;
+        for (const heading of headings) {
+            if (heading.getBoundingClientRect().top > 100) break;
+            sectionInView = heading.id;
+        }
+        
+        this.updateActiveSectionLink(sectionInView || headings[0].id);
+        this.updateRoute(this.currentChapter, sectionInView, { replace: true });
+    }
+    
+    /**
+     * Track how far and how long each section of the open chapter is read.
+     * Time only counts while the tab is visible and the reader has been active recently.
+     */
+    setupReadingProgress() {
+        const markActive = () => {
+            this.lastReadingActivity = Date.now();
+        };
+        ['scroll', 'keydown', 'pointerdown', 'pointermove', 'wheel', 'touchstart'].forEach(type => {
+            window.addEventListener(type, markActive, { passive: true });
+        });
+        
+        setInterval(() => this.trackReading(), 1000);
         
-        // Set up navigation buttons
-        this.setupChapterNavigation(chapterId, chapterContainer);
+        // Save unsaved reading time before the tab goes away
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.saveReadingProgress();
+        });
+        window.addEventListener('pagehide', () => this.saveReadingProgress());
+        
+        this.chapters.forEach(chapterId => this.updateNavLinkProgress(chapterId));
     }
-    
+
     /**
-     * Set up next/previous navigation for a chapter
+     * Start tracking a freshly rendered chapter. Each h2/h3 starts a section;
+     * a chapter without headings is read as a single section.
      */
-    setupChapterNavigation(chapterId, container) {
-        const currentIndex = this.chapters.indexOf(chapterId);
+    setupChapterReadingProgress(chapterId, container) {
+        this.saveReadingProgress();
         
-        // Create navigation div if it doesn't exist
-        let navDiv = container.querySelector('.chapter-navigation');
-        if (!navDiv) {
-            navDiv = document.createElement('div');
-            navDiv.className = 'chapter-navigation';
-            container.appendChild(navDiv);
-        } else {
-            navDiv.innerHTML = ''; // Clear existing navigation
+        const content = container.querySelector('.chapter-content');
+        if (!content) return;
+        
+        const text = this.getSectionTextIndex(container);
+        const countWords = sectionText => (sectionText ? sectionText.text.match(/\S+/g) || [] : []).length;
+        const headings = Array.from(content.querySelectorAll('h2[id], h3[id]'));
+        const sections = headings.length > 0
+            ? headings.map(heading => ({ id: heading.id, element: heading, words: countWords(text.get(heading.id)) }))
+            : [{ id: chapterId, element: content, words: countWords(text.get(null)) }];
+        
+        const saved = this.storage.get('sectionProgress')[chapterId];
+        this.readingChapter = {
+            chapterId,
+            content,
+            sections,
+            progress: { ...saved, total: sections.length, sections: { ...saved?.sections } },
+            unsavedSeconds: 0
+        };
+        
+        this.saveReadingProgress();
+        this.updateNavLinkProgress(chapterId);
+        this.updateReadingSummary(chapterId, container);
+    }
+
+    /**
+     * Credit a second of reading to every section on screen, and mark sections
+     * read once they have been scrolled through and looked at for long enough
+     */
+    trackReading() {
+        const reading = this.readingChapter;
+        if (!reading || reading.chapterId !== this.currentChapter || !reading.content.isConnected) return;
+        if (document.hidden || Date.now() - this.lastReadingActivity > 60000) return;
+        
+        const viewportBottom = window.innerHeight;
+        const tops = reading.sections.map(section => section.element.getBoundingClientRect().top);
+        const contentBottom = reading.content.getBoundingClientRect().bottom;
+        let newlyRead = false;
+        
+        reading.sections.forEach((section, i) => {
+            const top = tops[i];
+            const bottom = i + 1 < tops.length ? tops[i + 1] : contentBottom;
+            if (bottom <= 0 || top >= viewportBottom) return;
+            
+            const entry = reading.progress.sections[section.id] || { seconds: 0, depth: 0 };
+            const depth = Math.min(1, (viewportBottom - top) / Math.max(bottom - top, 1));
+            entry.seconds += 1;
+            entry.depth = Math.max(entry.depth, Math.round(depth * 100) / 100);
+            
+            if (!entry.readAt && entry.depth >= 0.9 && entry.seconds >= this.getSectionReadingTime(section.words)) {
+                entry.readAt = new Date().toISOString();
+                newlyRead = true;
+            }
+            reading.progress.sections[section.id] = entry;
+        });
+        
+        // Time alone is saved every so often; finishing a section is saved straight away
+        reading.unsavedSeconds++;
+        if (newlyRead || reading.unsavedSeconds >= 15) {
+            this.saveReadingProgress();
         }
         
-        // Add previous button if not the first chapter
-        if (currentIndex > 0) {
-            const prevChapter = this.chapters[currentIndex - 1];
-            const prevButton = document.createElement('button');
-            prevButton.className = 'btn btn--secondary prev-chapter';
-            prevButton.dataset.prev = prevChapter;
-            prevButton.innerHTML = `
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M19 12H5M12 19l-7-7 7-7"/>
-                </svg>
-                Previous
-            `;
-            prevButton.addEventListener('click', () => this.navigateToChapter(prevChapter));
-            navDiv.appendChild(prevButton);
+        if (newlyRead) {
+            const container = document.getElementById(reading.chapterId);
+            this.updateNavLinkProgress(reading.chapterId);
+            this.updateReadingSummary(reading.chapterId, container);
+            this.suggestChapterCompletion(reading.chapterId, container);
         }
+    }
+
+    /**
+     * Seconds a section must be on screen to count as read: a quarter of the
+     * time an average reader (about 230 words a minute) needs, from 3 to 60 seconds
+     */
+    getSectionReadingTime(words) {
+        return Math.min(60, Math.max(3, Math.round(words / 230 * 60 / 4)));
+    }
+
+    /**
+     * Write the open chapter's reading progress to storage
+     */
+    saveReadingProgress() {
+        const reading = this.readingChapter;
+        if (!reading) return;
         
-        // Add next button if not the last chapter
-        if (currentIndex < this.chapters.length - 1) {
-            const nextChapter = this.chapters[currentIndex + 1];
-            const nextButton = document.createElement('button');
-            nextButton.className = 'btn btn--primary next-chapter';
-            nextButton.dataset.next = nextChapter;
-            nextButton.innerHTML = `
-                Next
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M5 12h14M12 5l7 7-7 7"/>
-                </svg>
-            `;
-            nextButton.addEventListener('click', () => this.navigateToChapter(nextChapter));
-            navDiv.appendChild(nextButton);
+        reading.unsavedSeconds = 0;
+        this.storage.update('sectionProgress', progress => ({ ...progress, [reading.chapterId]: reading.progress }));
+    }
+
+    /**
+     * Get a chapter's section progress as { read, total }
+     */
+    getSectionProgress(chapterId) {
+        const progress = this.readingChapter?.chapterId === chapterId
+            ? this.readingChapter.progress
+            : this.storage.get('sectionProgress')[chapterId];
+        if (!progress?.total) return { read: 0, total: 0 };
+        
+        const read = Object.values(progress.sections).filter(section => section.readAt).length;
+        return { read: Math.min(read, progress.total), total: progress.total };
+    }
+
+    /**
+     * Show how much of a chapter has been read as a partial fill on its sidebar link
+     */
+    updateNavLinkProgress(chapterId) {
+        const navLink = document.querySelector(`.nav-link[data-chapter="${chapterId}"]`);
+        if (!navLink) return;
+        
+        const { read, total } = this.getSectionProgress(chapterId);
+        navLink.classList.toggle('in-progress', read > 0);
+        navLink.style.setProperty('--section-progress', total ? `${Math.round(read / total * 100)}%` : '0%');
+        navLink.title = read > 0 ? `${read} of ${total} sections read` : '';
+    }
+
+    /**
+     * Show the sections read in the chapter footer and tick them off in "On this page"
+     */
+    updateReadingSummary(chapterId, container) {
+        const footer = container?.querySelector('.chapter-footer');
+        if (!footer) return;
+        
+        const { read, total } = this.getSectionProgress(chapterId);
+        let summary = footer.querySelector('.reading-score');
+        if (!summary) {
+            summary = document.createElement('p');
+            summary.className = 'reading-score';
+            footer.prepend(summary);
         }
+        summary.textContent = `Sections read: ${read}/${total}`;
         
-        // Add completion checkbox
-        const footerDiv = document.createElement('div');
-        footerDiv.className = 'chapter-footer';
-        footerDiv.innerHTML = `
-            <label class="chapter-complete">
-                <input type="checkbox" class="chapter-checkbox" data-chapter="${chapterId}" ${this.completedChapters.has(chapterId) ? 'checked' : ''}>
-                <span>Mark as complete</span>
-            </label>
-        `;
-        container.appendChild(footerDiv);
+        if (chapterId === this.currentChapter) {
+            const sections = this.readingChapter?.chapterId === chapterId ? this.readingChapter.progress.sections : {};
+            document.querySelectorAll('#chapterToc .chapter-toc-link').forEach(link => {
+                link.classList.toggle('section-read', Boolean(sections[link.dataset.section]?.readAt));
+            });
+        }
+    }
+
+    /**
+     * Offer to mark a chapter complete once every section has been read.
+     * Only offered once per chapter; the checkbox stays the final say.
+     */
+    suggestChapterCompletion(chapterId, container) {
+        if (this.readingChapter?.chapterId !== chapterId) return;
         
-        // Add event listener to the checkbox
-        const checkbox = footerDiv.querySelector('.chapter-checkbox');
-        checkbox.addEventListener('change', (e) => {
-            this.toggleChapterCompletion(chapterId, e.target.checked);
-        });
+        const { read, total } = this.getSectionProgress(chapterId);
+        const progress = this.readingChapter.progress;
+        const checkbox = container?.querySelector('.chapter-checkbox');
+        if (total === 0 || read < total || progress.suggestedAt || this.completedChapters.has(chapterId)) return;
+        // Respect the lock on chapters with required quiz questions
+        if (checkbox?.disabled) return;
+        
+        progress.suggestedAt = new Date().toISOString();
+        this.saveReadingProgress();
+        
+        const title = this.chapterInfo[chapterId].title;
+        // Its own notice, so it can't replace a pending update prompt or be replaced by one
+        this.showUpdateNotice(`You've read every section of "${title}".`, 'Mark as complete', () => {
+            this.toggleChapterCompletion(chapterId, true);
+            document.querySelectorAll(`.chapter-checkbox[data-chapter="${chapterId}"]`).forEach(element => {
+                element.checked = true;
+            });
+        }, 'completionNotice');
     }
     
     /**
-     * Convert markdown to HTML using marked.js
+     * Setup section bookmarks, text highlights and the Bookmarks panel
      */
-    convertMarkdownToHtml(markdown) {
-        // Configure marked.js renderer
-        const renderer = new marked.Renderer();
+    setupBookmarks() {
+        const toolbar = document.getElementById('selectionToolbar');
         
-        // Store original heading renderer
-        const originalHeadingRenderer = renderer.heading;
-        
-        // Override heading renderer to add IDs for FastAPI sections
-        renderer.heading = (text, level) => {
-            let id = '';
-            
-            // Generate IDs for FastAPI chapter sections
-            if (this.currentChapter === 'fastapi') {
-                if (text.includes('Introduction to FastAPI') && level <= 2) {
-                    id = ' id="fastapi"';
-                } else if (text.includes('Setting Up FastAPI') && level <= 2) {
-                    id = ' id="fastapi-setup"';
-                } else if (text.includes('Request Validation with Pydantic') && level <= 2) {
-                    id = ' id="fastapi-pydantic"';
-                } else if (text.includes('Path Parameters and Query Parameters') && level <= 2) {
-                    id = ' id="fastapi-parameters"';
-                } else if (text.includes('Response Models') && level <= 2) {
-                    id = ' id="fastapi-responses"';
-                } else if (text.includes('Form Data and File Uploads') && level <= 2) {
-                    id = ' id="fastapi-forms"';
-                } else if (text.includes('HTTP Status Codes and Error Handling') && level <= 2) {
-                    id = ' id="fastapi-errors"';
-                } else if (text.includes('Dependency Injection') && level <= 2) {
-                    id = ' id="fastapi-dependency"';
-                } else if (text.includes('Security and Authentication') && level <= 2) {
-                    id = ' id="fastapi-security"';
-                } else if (text.includes('Middleware') && level <= 2) {
-                    id = ' id="fastapi-middleware"';
-                } else if (text.includes('Background Tasks') && level <= 2) {
-                    id = ' id="fastapi-tasks"';
-                } else if (text.includes('Project: URL Shortener API') && level <= 2) {
-                    id = ' id="fastapi-project"';
-                }
-            }
+        // Offer to highlight text once the reader has finished selecting it
+        let selectionTimer = null;
+        document.addEventListener('selectionchange', () => {
+            clearTimeout(selectionTimer);
+            selectionTimer = setTimeout(() => this.updateSelectionToolbar(), 200);
+        });
+        
+        // Keep the selection when the toolbar is pressed
+        toolbar?.addEventListener('mousedown', (e) => e.preventDefault());
+        
+        document.addEventListener('click', (e) => {
+            const bookmarkButton = e.target.closest('.heading-bookmark');
+            const highlight = e.target.closest('mark.user-highlight');
             
-            return `<h${level}${id}>${text}</h${level}>`;
-        };
+            if (bookmarkButton) {
+                this.toggleBookmark(bookmarkButton.closest('h2, h3'));
+            } else if (e.target.closest('.selection-highlight')) {
+                this.createHighlight();
+            } else if (e.target.closest('.selection-remove')) {
+                this.removeHighlight(toolbar.dataset.highlight);
+            } else if (highlight && window.getSelection().isCollapsed) {
+                this.showSelectionToolbar(highlight.getBoundingClientRect(), 'remove', highlight.dataset.highlight);
+            } else if (!e.target.closest('#selectionToolbar')) {
+                this.hideSelectionToolbar();
+            }
+        });
         
-        // Customize code blocks to add language label and copy button
-        renderer.code = (code, language) => {
-            const escapedCode = this.escapeHtml(code);
-            const languageClass = language ? ` class="language-${language}"` : '';
-            const copyButton = `<button class="copy-btn" data-code="${this.escapeHtml(code.trim())}">Copy</button>`;
+        // Panel entries navigate back to their section; the x removes them
+        document.getElementById('bookmarksPanel')?.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.bookmark-remove');
+            const link = e.target.closest('.bookmark-link');
             
-            return `<div class="code-block-wrapper">
-                <div class="code-header">
-                    ${language ? `<span class="code-language">${language}</span>` : ''}
-                    ${copyButton}
-                </div>
-                <pre><code${languageClass}>${escapedCode}</code></pre>
-            </div>`;
-        };
+            if (removeButton) {
+                const { type, id } = removeButton.dataset;
+                if (type === 'highlight') {
+                    this.removeHighlight(id);
+                } else {
+                    this.removeBookmark(id);
+                }
+            } else if (link) {
+                e.preventDefault();
+                this.navigateToChapter(link.dataset.chapter, link.dataset.section || null, { flash: true });
+            }
+        });
         
-        // Use marked.js to convert markdown to HTML
-        marked.setOptions({
-            renderer: renderer,
-            gfm: true,
-            breaks: false,
-            pedantic: false,
-            sanitize: false,
-            smartLists: true,
-            smartypants: false
+        this.renderBookmarksPanel();
+    }
+
+    /**
+     * Add bookmark buttons to a rendered chapter's headings and re-apply its highlights
+     */
+    setupChapterBookmarks(chapterId, container) {
+        const bookmarked = new Set(this.storage.get('bookmarks')
+            .filter(bookmark => bookmark.chapterId === chapterId)
+            .map(bookmark => bookmark.sectionId));
+        
+        container.querySelectorAll('.chapter-content h2[id], .chapter-content h3[id]').forEach(heading => {
+            const actions = this.getHeadingActions(heading);
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'heading-action heading-bookmark';
+            button.innerHTML = `
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/>
+                </svg>
+            `;
+            actions.appendChild(button);
+            this.updateBookmarkButton(button, bookmarked.has(heading.id));
         });
         
-        const html = marked.parse(markdown);
-        return `<div class="chapter-content">${html}</div>`;
+        this.applyHighlights(chapterId, container);
     }
-    
+
     /**
-     * Helper method to escape HTML special characters
+     * Get the container for buttons shown beside a heading, creating it if needed
      */
-    escapeHtml(text) {
-        const map = {
-            '&': '&amp;',
-            '<': '&lt;',
-            '>': '&gt;',
-            '"': '&quot;',
-            "'": '&#039;'
-        };
-        return text.replace(/[&<>"']/g, char => map[char]);
+    getHeadingActions(heading) {
+        let actions = heading.querySelector('.heading-actions');
+        if (!actions) {
+            actions = document.createElement('span');
+            actions.className = 'heading-actions';
+            heading.appendChild(actions);
+        }
+        return actions;
     }
 
     /**
-     * Setup code copy functionality
+     * Show whether a heading's section is bookmarked
      */
-    setupCodeCopy() {
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('copy-btn')) {
-                const code = e.target.dataset.code;
-                this.copyToClipboard(code, e.target);
-            }
-        });
+    updateBookmarkButton(button, isBookmarked) {
+        const label = isBookmarked ? 'Remove bookmark' : 'Bookmark this section';
+        button.classList.toggle('active', isBookmarked);
+        button.setAttribute('aria-pressed', isBookmarked);
+        button.setAttribute('aria-label', label);
+        button.title = label;
     }
-    
+
     /**
-     * Setup code copy buttons for a specific chapter
+     * Bookmark a section heading, or remove its bookmark
      */
-    setupCodeCopyForChapter(container) {
-        const copyButtons = container.querySelectorAll('.copy-btn');
-        copyButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                const code = e.target.dataset.code;
-                this.copyToClipboard(code, e.target);
-            });
-        });
+    toggleBookmark(heading) {
+        const chapterId = heading.closest('.chapter').id;
+        const id = `${chapterId}/${heading.id}`;
+        const isBookmarked = this.storage.get('bookmarks').some(bookmark => bookmark.id === id);
+        
+        if (isBookmarked) {
+            this.removeBookmark(id);
+            return;
+        }
+        
+        this.storage.update('bookmarks', bookmarks => [...bookmarks, {
+            id,
+            chapterId,
+            sectionId: heading.id,
+            title: heading.textContent.trim(),
+            createdAt: new Date().toISOString()
+        }]);
+        this.updateBookmarkButton(heading.querySelector('.heading-bookmark'), true);
+        this.renderBookmarksPanel();
     }
 
     /**
-     * Copy code to clipboard
+     * Remove a bookmark by ID
      */
-    async copyToClipboard(text, button) {
-        try {
-            if (navigator.clipboard && window.isSecureContext) {
-                await navigator.clipboard.writeText(text);
-            } else {
-                // Fallback for older browsers
-                const textArea = document.createElement('textarea');
-                textArea.value = text;
-                textArea.style.position = 'fixed';
-                textArea.style.left = '-999999px';
-                textArea.style.top = '-999999px';
-                document.body.appendChild(textArea);
-                textArea.focus();
-                textArea.select();
-                document.execCommand('copy');
-                textArea.remove();
+    removeBookmark(id) {
+        this.storage.update('bookmarks', bookmarks => bookmarks.filter(bookmark => bookmark.id !== id));
+        
+        // Section IDs start with the chapter ID, so they are unique across chapters
+        const sectionId = id.split('/')[1];
+        const button = document.getElementById(sectionId)?.querySelector('.heading-bookmark');
+        if (button) {
+            this.updateBookmarkButton(button, false);
+        }
+        this.renderBookmarksPanel();
+    }
+
+    /**
+     * Index the highlightable text of a chapter by section. Returns a Map of
+     * sectionId (null before the first heading) to { nodes: [{ node, start }], text },
+     * where start is each text node's offset within the section's text.
+     * Code, buttons and interactive widgets can't be highlighted.
+     */
+    getSectionTextIndex(container) {
+        const content = container.querySelector('.chapter-content');
+        const sections = new Map();
+        let current = { nodes: [], text: '' };
+        sections.set(null, current);
+        if (!content) return sections;
+        
+        const excluded = 'pre, button, .code-header, .code-output, .quiz, .exercise, .heading-actions, .note';
+        const walker = document.createTreeWalker(content, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.nodeType === Node.ELEMENT_NODE && node.matches(excluded) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+        });
+        
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                if ((node.tagName === 'H2' || node.tagName === 'H3') && node.id) {
+                    current = { nodes: [], text: '' };
+                    sections.set(node.id, current);
+                }
+                continue;
             }
+            current.nodes.push({ node, start: current.text.length });
+            current.text += node.data;
+        }
+        
+        return sections;
+    }
+
+    /**
+     * Find where a selected range sits in the section text index.
+     * Selections running into the next section are cut off at its heading.
+     */
+    locateRange(range, sections) {
+        for (const [sectionId, section] of sections) {
+            let start = null;
+            let end = null;
             
-            // Show success feedback
-            const originalText = button.textContent;
-            button.textContent = 'Copied!';
-            button.classList.add('copied');
-            
-            setTimeout(() => {
-                button.textContent = originalText;
-                button.classList.remove('copied');
-            }, 2000);
-            
-        } catch (err) {
-            console.warn('Failed to copy text: ', err);
+            for (const { node, start: nodeStart } of section.nodes) {
+                if (!range.intersectsNode(node)) continue;
+                
+                if (start === null) {
+                    start = nodeStart + (node === range.startContainer ? range.startOffset : 0);
+                }
+                end = nodeStart + (node === range.endContainer ? range.endOffset : node.length);
+            }
             
-            // Show error feedback
-            button.textContent = 'Failed';
-            setTimeout(() => {
-                button.textContent = 'Copy';
-            }, 2000);
+            if (start !== null) {
+                // Leave out surrounding whitespace
+                while (start < end && /\s/.test(section.text[start])) start++;
+                while (end > start && /\s/.test(section.text[end - 1])) end--;
+                return start < end ? { sectionId, start, end } : null;
+            }
         }
+        return null;
     }
 
     /**
-     * Setup search functionality
+     * Show or hide the Highlight button for the current text selection
      */
-    setupSearch() {
-        const searchBtn = document.getElementById('searchBtn');
-        const searchModal = document.getElementById('searchModal');
-        const searchClose = document.getElementById('searchClose');
-        const searchInput = document.getElementById('searchInput');
-        const searchResults = document.getElementById('searchResults');
+    updateSelectionToolbar() {
+        const toolbar = document.getElementById('selectionToolbar');
+        if (!toolbar) return;
         
-        searchBtn.addEventListener('click', () => this.openSearch());
-        searchClose.addEventListener('click', () => this.closeSearch());
+        const selection = window.getSelection();
+        const range = selection.rangeCount > 0 && !selection.isCollapsed ? selection.getRangeAt(0) : null;
+        const ancestor = range && range.commonAncestorContainer;
+        const element = ancestor && (ancestor.nodeType === Node.ELEMENT_NODE ? ancestor : ancestor.parentElement);
+        const chapter = element && element.closest('.chapter.active');
         
-        // Close modal when clicking outside
-        searchModal.addEventListener('click', (e) => {
-            if (e.target === searchModal) {
-                this.closeSearch();
+        if (!chapter || !this.locateRange(range, this.getSectionTextIndex(chapter))) {
+            // Leave the Remove button alone; clicking a highlight collapses the selection
+            if (toolbar.dataset.mode === 'highlight') {
+                this.hideSelectionToolbar();
             }
-        });
-        
-        // Handle search input
-        let searchTimeout;
-        searchInput.addEventListener('input', (e) => {
-            clearTimeout(searchTimeout);
-            searchTimeout = setTimeout(() => {
-                this.performSearch(e.target.value);
-            }, 300);
-        });
+            return;
+        }
         
-        // Handle search result clicks
-        searchResults.addEventListener('click', (e) => {
-            const resultItem = e.target.closest('.search-result-item');
-            if (resultItem) {
-                const chapterId = resultItem.dataset.chapter;
-                this.navigateToChapter(chapterId);
-                this.closeSearch();
-            }
-        });
+        this.selectedRange = range.cloneRange();
+        this.showSelectionToolbar(range.getBoundingClientRect(), 'highlight');
     }
 
     /**
-     * Open the search modal
+     * Position the selection toolbar above a rectangle, showing the Highlight
+     * or Remove button depending on the mode
      */
-    openSearch() {
-        const searchModal = document.getElementById('searchModal');
-        const searchInput = document.getElementById('searchInput');
+    showSelectionToolbar(rect, mode, highlightId = '') {
+        const toolbar = document.getElementById('selectionToolbar');
+        toolbar.dataset.mode = mode;
+        toolbar.dataset.highlight = highlightId;
+        toolbar.querySelector('.selection-highlight').hidden = mode !== 'highlight';
+        toolbar.querySelector('.selection-remove').hidden = mode !== 'remove';
+        toolbar.hidden = false;
         
-        searchModal.classList.remove('hidden');
-        searchInput.focus();
-        
-        // Prevent body scroll
-        document.body.style.overflow = 'hidden';
+        const left = rect.left + rect.width / 2 - toolbar.offsetWidth / 2;
+        toolbar.style.left = `${Math.max(8, left + window.scrollX)}px`;
+        toolbar.style.top = `${rect.top + window.scrollY - toolbar.offsetHeight - 8}px`;
     }
 
     /**
-     * Close the search modal
+     * Hide the selection toolbar
      */
-    closeSearch() {
-        const searchModal = document.getElementById('searchModal');
-        const searchInput = document.getElementById('searchInput');
-        
-        searchModal.classList.add('hidden');
-        searchInput.value = '';
-        document.getElementById('searchResults').innerHTML = '';
-        
-        // Restore body scroll
-        document.body.style.overflow = '';
+    hideSelectionToolbar() {
+        const toolbar = document.getElementById('selectionToolbar');
+        if (toolbar) {
+            toolbar.hidden = true;
+            toolbar.dataset.mode = '';
+        }
+        this.selectedRange = null;
     }
 
     /**
-     * Perform search based on user query
+     * Save the selected text as a highlight, anchored to its section and the
+     * text around it so it can be found again after the chapter re-renders
      */
-    performSearch(query) {
-        const searchResults = document.getElementById('searchResults');
+    createHighlight() {
+        const chapter = document.querySelector('.chapter.active');
+        const range = this.selectedRange;
+        if (!chapter || !range) return;
         
-        if (!query.trim()) {
-            searchResults.innerHTML = '';
-            return;
-        }
+        const sections = this.getSectionTextIndex(chapter);
+        const location = this.locateRange(range, sections);
+        if (!location) return;
+        
+        const { text } = sections.get(location.sectionId);
+        const highlight = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            chapterId: chapter.id,
+            sectionId: location.sectionId,
+            text: text.slice(location.start, location.end),
+            prefix: text.slice(Math.max(0, location.start - 32), location.start),
+            suffix: text.slice(location.end, location.end + 32),
+            createdAt: new Date().toISOString()
+        };
+        
+        this.storage.update('highlights', highlights => [...highlights, highlight]);
+        this.wrapHighlight(sections.get(location.sectionId), location.start, location.end, highlight.id);
         
-        const results = this.searchContent(query.toLowerCase());
-        this.displaySearchResults(results);
+        window.getSelection().removeAllRanges();
+        this.hideSelectionToolbar();
+        this.renderBookmarksPanel();
     }
 
     /**
-     * Search the content index for matching results
+     * Delete a highlight and unwrap its marks from the page
      */
-    searchContent(query) {
-        const results = [];
-        
-        for (const [chapterId, data] of Object.entries(this.searchIndex)) {
-            const score = this.calculateSearchScore(query, data);
-            if (score > 0) {
-                results.push({
-                    chapterId,
-                    title: data.title,
-                    score,
-                    snippet: this.generateSnippet(query, data.content)
-                });
-            }
-        }
-        
-        return results.sort((a, b) => b.score - a.score).slice(0, 8);
+    removeHighlight(id) {
+        this.storage.update('highlights', highlights => highlights.filter(highlight => highlight.id !== id));
+        this.unwrapHighlights(document, `mark.user-highlight[data-highlight="${CSS.escape(id)}"]`);
+        this.hideSelectionToolbar();
+        this.renderBookmarksPanel();
     }
 
     /**
-     * Calculate relevance score for search results
+     * Replace highlight marks matching a selector with their text
      */
-    calculateSearchScore(query, data) {
-        const titleText = data.title.toLowerCase();
-        const contentText = data.content.toLowerCase();
-        let score = 0;
-        
-        // Exact matches in title get highest score
-        if (titleText.includes(query)) {
-            score += 100;
-        }
-        
-        // Word matches in title
-        const queryWords = query.split(/\s+/);
-        queryWords.forEach(word => {
-            if (word.length < 2) return; // Skip short words
-            if (titleText.includes(word)) score += 50;
-            if (contentText.includes(word)) score += 10;
+    unwrapHighlights(root, selector = 'mark.user-highlight') {
+        root.querySelectorAll(selector).forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(...mark.childNodes);
+            parent.normalize();
         });
+    }
+
+    /**
+     * Mark a chapter's saved highlights, searching by text and context within
+     * their section first and the rest of the chapter after that
+     */
+    applyHighlights(chapterId, container) {
+        this.unwrapHighlights(container);
         
-        return score;
+        this.storage.get('highlights')
+            .filter(highlight => highlight.chapterId === chapterId)
+            .forEach(highlight => {
+                // Earlier highlights split text nodes, so index the chapter afresh
+                const sections = this.getSectionTextIndex(container);
+                const ordered = [sections.get(highlight.sectionId), ...sections.values()].filter(Boolean);
+                
+                for (const section of ordered) {
+                    const start = this.findHighlightText(section.text, highlight);
+                    if (start !== -1) {
+                        this.wrapHighlight(section, start, start + highlight.text.length, highlight.id);
+                        break;
+                    }
+                }
+            });
     }
 
     /**
-     * Generate a relevant text snippet for search results
+     * Find the occurrence of a highlight's text whose surroundings best match
+     * the saved prefix and suffix. Returns -1 if the text isn't there.
      */
-    generateSnippet(query, content) {
-        const words = content.split(/\s+/);
-        const queryWords = query.split(/\s+/);
+    findHighlightText(text, { text: quote, prefix = '', suffix = '' }) {
+        let best = -1;
+        let bestScore = -1;
         
-        // Find first occurrence of any query word
-        let startIndex = 0;
-        for (let i = 0; i < words.length; i++) {
-            if (queryWords.some(qWord => words[i].includes(qWord))) {
-                startIndex = Math.max(0, i - 10);
-                break;
+        for (let i = text.indexOf(quote); i !== -1; i = text.indexOf(quote, i + 1)) {
+            const before = text.slice(Math.max(0, i - prefix.length), i);
+            const after = text.slice(i + quote.length, i + quote.length + suffix.length);
+            
+            let score = 0;
+            while (score < before.length && before[before.length - 1 - score] === prefix[prefix.length - 1 - score]) score++;
+            for (let j = 0; j < after.length && after[j] === suffix[j]; j++) score++;
+            
+            if (score > bestScore) {
+                best = i;
+                bestScore = score;
             }
         }
-        
-        const snippet = words.slice(startIndex, startIndex + 20).join(' ');
-        return snippet.length < content.length ? snippet + '...' : snippet;
+        return best;
     }
 
     /**
-     * Display search results in the UI
+     * Wrap the text between two offsets of an indexed section in <mark> elements,
+     * one per text node it covers
      */
-    displaySearchResults(results) {
-        const searchResults = document.getElementById('searchResults');
+    wrapHighlight(section, start, end, id) {
+        section.nodes.forEach(({ node, start: nodeStart }) => {
+            const nodeEnd = nodeStart + node.length;
+            if (nodeEnd <= start || nodeStart >= end) return;
+            
+            let target = node;
+            if (end < nodeEnd) target.splitText(end - nodeStart);
+            if (start > nodeStart) target = target.splitText(start - nodeStart);
+            
+            // Whitespace between list items or table cells can't hold a <mark>
+            if (!target.data.trim()) return;
+            
+            const mark = document.createElement('mark');
+            mark.className = 'user-highlight';
+            mark.dataset.highlight = id;
+            target.replaceWith(mark);
+            mark.appendChild(target);
+        });
+    }
+
+    /**
+     * List bookmarks and highlights in the sidebar, grouped by chapter in reading order
+     */
+    renderBookmarksPanel() {
+        const panel = document.getElementById('bookmarksPanel');
+        if (!panel) return;
         
-        if (results.length === 0) {
-            searchResults.innerHTML = '<div style="padding: 20px; text-align: center; color: var(--color-text-secondary);">No results found</div>';
+        const bookmarks = this.storage.get('bookmarks');
+        const highlights = this.storage.get('highlights');
+        const list = panel.querySelector('.bookmarks-list');
+        panel.querySelector('.bookmarks-count').textContent = bookmarks.length + highlights.length || '';
+        
+        const groups = this.chapters
+            .map(chapterId => ({
+                chapterId,
+                items: [
+                    ...bookmarks.filter(bookmark => bookmark.chapterId === chapterId).map(bookmark => ({ ...bookmark, type: 'bookmark' })),
+                    ...highlights.filter(highlight => highlight.chapterId === chapterId).map(highlight => ({ ...highlight, type: 'highlight' }))
+                ]
+            }))
+            .filter(group => group.items.length > 0);
+        
+        if (groups.length === 0) {
+            list.innerHTML = '<p class="bookmarks-empty">Bookmark a section with the button beside its heading, or select text in a chapter to highlight it.</p>';
             return;
         }
         
-        const html = results.map(result => `
-            <div class="search-result-item" data-chapter="${result.chapterId}">
-                <div class="search-result-title">${result.title}</div>
-                <div class="search-result-snippet">${result.snippet}</div>
+        list.innerHTML = groups.map(({ chapterId, items }) => `
+            <div class="bookmarks-group">
+                <h4>${this.escapeHtml(this.chapterInfo[chapterId].title)}</h4>
+                <ul>
+                    ${items.map(item => {
+                        const label = item.type === 'bookmark'
+                            ? this.escapeHtml(item.title)
+                            : `“${this.escapeHtml(item.text.length > 80 ? `${item.text.slice(0, 80)}…` : item.text)}”`;
+                        return `
+                            <li class="bookmark-item ${item.type}">
+                                <a href="${this.buildRoute(chapterId, item.sectionId)}" class="bookmark-link" data-chapter="${chapterId}" data-section="${item.sectionId || ''}">${label}</a>
+                                <button type="button" class="bookmark-remove" data-type="${item.type}" data-id="${this.escapeHtml(item.id)}" aria-label="Remove ${item.type}">&times;</button>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
             </div>
         `).join('');
-        
-        searchResults.innerHTML = html;
-    }
-
-    /**
-     * Setup progress tracking
-     */
-    setupProgressTracking() {
-        // Initialize progress from completed chapters
-        this.updateProgress();
     }
 
     /**
-     * Setup mobile navigation
+     * Wire up note editing inside chapters and the notes overview in the sidebar
      */
-    setupMobileNavigation() {
-        const sidebarToggle = document.getElementById('sidebarToggle');
-        const sidebar = document.getElementById('sidebar');
+    setupNotes() {
+        document.addEventListener('click', (e) => {
+            const noteButton = e.target.closest('.heading-note');
+            const note = e.target.closest('.note');
+            
+            if (noteButton) {
+                this.openNoteEditor(noteButton.closest('h2, h3'));
+            } else if (!note) {
+                return;
+            } else if (e.target.closest('.note-edit')) {
+                this.openNoteEditor(document.getElementById(note.dataset.section));
+            } else if (e.target.closest('.note-delete')) {
+                if (window.confirm('Delete this note?')) {
+                    this.deleteNote(note.dataset.note);
+                }
+            } else if (e.target.closest('.note-save')) {
+                this.saveNote(note);
+            } else if (e.target.closest('.note-cancel')) {
+                this.closeNoteEditor(note);
+            }
+        });
         
-        sidebarToggle?.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            sidebar.classList.toggle('open');
-            document.body.classList.toggle('sidebar-open');
+        // Ctrl/Cmd+Enter saves, Escape cancels
+        document.addEventListener('keydown', (e) => {
+            if (!e.target.classList?.contains('note-input')) return;
+            const note = e.target.closest('.note');
+            
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.saveNote(note);
+            } else if (e.key === 'Escape') {
+                this.closeNoteEditor(note);
+            }
         });
         
-        // Close sidebar when clicking on a nav link on mobile
-        const navLinks = sidebar.querySelectorAll('.nav-link');
-        navLinks.forEach(link => {
-            link.addEventListener('click', () => {
-                if (window.innerWidth < 768) {
-                    sidebar.classList.remove('open');
-                    document.body.classList.remove('sidebar-open');
+        document.getElementById('notesPanel')?.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.bookmark-remove');
+            const link = e.target.closest('.bookmark-link');
+            
+            if (removeButton) {
+                if (window.confirm('Delete this note?')) {
+                    this.deleteNote(removeButton.dataset.id);
                 }
-            });
+            } else if (link) {
+                e.preventDefault();
+                this.navigateToChapter(link.dataset.chapter, link.dataset.section, { flash: true });
+            }
         });
         
-        // Close sidebar when clicking outside
-        document.addEventListener('click', (e) => {
-            if (window.innerWidth < 768 && 
-                sidebar.classList.contains('open') && 
-                !sidebar.contains(e.target) && 
-                e.target !== sidebarToggle) {
-                sidebar.classList.remove('open');
-                document.body.classList.remove('sidebar-open');
+        this.renderNotesPanel();
+    }
+
+    /**
+     * Add note buttons to a rendered chapter's headings and show its saved notes
+     */
+    setupChapterNotes(chapterId, container) {
+        const notes = new Map(this.storage.get('notes')
+            .filter(note => note.chapterId === chapterId)
+            .map(note => [note.sectionId, note]));
+        
+        container.querySelectorAll('.chapter-content h2[id], .chapter-content h3[id]').forEach(heading => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'heading-action heading-note';
+            button.innerHTML = `
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <path d="M12 20h9"/>
+                    <path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4z"/>
+                </svg>
+            `;
+            this.getHeadingActions(heading).appendChild(button);
+            this.updateNoteButton(button, notes.has(heading.id));
+            
+            if (notes.has(heading.id)) {
+                this.renderNote(heading, notes.get(heading.id));
             }
         });
+    }
+
+    /**
+     * Show whether a heading's section has a note
+     */
+    updateNoteButton(button, hasNote) {
+        const label = hasNote ? 'Edit note' : 'Add note';
+        button.classList.toggle('active', hasNote);
+        button.setAttribute('aria-label', label);
+        button.title = label;
+    }
+
+    /**
+     * Get the note element shown below a heading, creating an empty one if needed
+     */
+    getNoteElement(heading, { create = false } = {}) {
+        const next = heading.nextElementSibling;
+        if (next?.classList.contains('note')) return next;
+        if (!create) return null;
         
-        // Create mobile bottom navigation
-        this.createMobileBottomNav();
+        const note = document.createElement('aside');
+        note.className = 'note';
+        note.dataset.note = `${heading.closest('.chapter').id}/${heading.id}`;
+        note.dataset.section = heading.id;
+        heading.after(note);
+        return note;
     }
-    
+
     /**
-     * Create mobile bottom navigation bar
+     * Show a saved note below its heading, rendered from Markdown
      */
-    createMobileBottomNav() {
-        // Only create if it doesn't already exist
-        if (document.querySelector('.mobile-bottom-nav')) {
-            return;
+    renderNote(heading, note) {
+        const element = this.getNoteElement(heading, { create: true });
+        element.classList.remove('editing');
+        element.innerHTML = `
+            <div class="note-header">
+                <span class="note-label">Your note</span>
+                <div class="note-actions">
+                    <button type="button" class="note-edit">Edit</button>
+                    <button type="button" class="note-delete">Delete</button>
+                </div>
+            </div>
+            <div class="note-body">${this.renderNoteMarkdown(note.text)}</div>
+        `;
+        
+        if (window.Prism) {
+            window.Prism.highlightAllUnder(element);
         }
+    }
+
+    /**
+     * Convert a note's Markdown to safe HTML. Notes use marked's plain renderer:
+     * no run buttons, quizzes or heading IDs that would clash with the chapter's.
+     */
+    renderNoteMarkdown(text) {
+        const html = marked.parse(text, { renderer: new marked.Renderer(), headerIds: false });
+        return this.sanitizer.sanitize(html);
+    }
+
+    /**
+     * Replace a heading's note (or an empty space below it) with a Markdown editor
+     */
+    openNoteEditor(heading) {
+        if (!heading) return;
         
-        const bottomNav = document.createElement('nav');
-        bottomNav.className = 'mobile-bottom-nav';
+        const id = `${heading.closest('.chapter').id}/${heading.id}`;
+        const note = this.storage.get('notes').find(item => item.id === id);
+        const element = this.getNoteElement(heading, { create: true });
+        const title = heading.textContent.trim();
         
-        // Home button
-        const homeButton = document.createElement('a');
-        homeButton.className = 'mobile-nav-item';
-        homeButton.href = '#welcome';
-        homeButton.innerHTML = `
-            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M3 9l9-7 9 7v11a2 2 0 01-2 2H5a2 2 0 01-2-2V9z"/>
-                <path d="M9 22V12h6v10"/>
-            </svg>
-            <span>Home</span>
+        element.classList.add('editing');
+        element.innerHTML = `
+            <textarea class="note-input" rows="4" placeholder="Write a note… Markdown is supported." aria-label="Note on ${this.escapeHtml(title)}"></textarea>
+            <div class="note-actions">
+                <button type="button" class="note-save">Save note</button>
+                <button type="button" class="note-cancel">Cancel</button>
+                <span class="note-hint">Ctrl+Enter to save</span>
+            </div>
         `;
-        homeButton.addEventListener('click', (e) => {
-            e.preventDefault();
-            this.navigateToChapter('welcome');
-        });
         
-        // Previous chapter button
-        const prevButton = document.createElement('a');
-        prevButton.className = 'mobile-nav-item';
-        prevButton.href = '#';
-        prevButton.innerHTML = `
-            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M19 12H5M12 19l-7-7 7-7"/>
-            </svg>
-            <span>Previous</span>
-        `;
-        prevButton.addEventListener('click', (e) => {
-            e.preventDefault();
-            this.navigateToPreviousChapter();
-        });
+        const textarea = element.querySelector('.note-input');
+        textarea.value = note ? note.text : '';
+        textarea.focus();
+    }
+
+    /**
+     * Leave the editor, showing the saved note again or removing the empty space
+     */
+    closeNoteEditor(element) {
+        const heading = document.getElementById(element.dataset.section);
+        const note = this.storage.get('notes').find(item => item.id === element.dataset.note);
         
-        // Next chapter button
-        const nextButton = document.createElement('a');
-        nextButton.className = 'mobile-nav-item';
-        nextButton.href = '#';
-        nextButton.innerHTML = `
-            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M5 12h14M12 5l7 7-7 7"/>
-            </svg>
-            <span>Next</span>
-        `;
-        nextButton.addEventListener('click', (e) => {
-            e.preventDefault();
-            this.navigateToNextChapter();
-        });
+        if (note) {
+            this.renderNote(heading, note);
+        } else {
+            element.remove();
+        }
+        heading?.querySelector('.heading-note')?.focus();
+    }
+
+    /**
+     * Save the text from a note editor. Saving an empty note deletes it.
+     */
+    saveNote(element) {
+        const text = element.querySelector('.note-input').value.trim();
+        const id = element.dataset.note;
+        if (!text) {
+            this.deleteNote(id);
+            return;
+        }
         
-        // Add all buttons to navigation
-        bottomNav.appendChild(homeButton);
-        bottomNav.appendChild(prevButton);
-        bottomNav.appendChild(nextButton);
+        const heading = document.getElementById(element.dataset.section);
+        const now = new Date().toISOString();
+        this.storage.update('notes', notes => {
+            const existing = notes.find(note => note.id === id);
+            const note = {
+                id,
+                chapterId: id.split('/')[0],
+                sectionId: element.dataset.section,
+                title: heading.textContent.trim(),
+                text,
+                createdAt: existing ? existing.createdAt : now,
+                updatedAt: now
+            };
+            return existing ? notes.map(item => item.id === id ? note : item) : [...notes, note];
+        });
         
-        // Add navigation to body
-        document.body.appendChild(bottomNav);
+        this.renderNote(heading, this.storage.get('notes').find(note => note.id === id));
+        this.updateNoteButton(heading.querySelector('.heading-note'), true);
+        this.handleNotesChange();
     }
 
     /**
-     * Setup chapter completion tracking
+     * Delete a note by ID
      */
-    setupChapterCompletion() {
-        document.addEventListener('change', (e) => {
-            if (e.target.classList.contains('chapter-checkbox')) {
-                const chapterId = e.target.dataset.chapter;
-                const isCompleted = e.target.checked;
-                
-                this.toggleChapterCompletion(chapterId, isCompleted);
-            }
-        });
+    deleteNote(id) {
+        this.storage.update('notes', notes => notes.filter(note => note.id !== id));
         
-        // Add scroll listener for FastAPI section navigation
-        document.querySelector('.main-content').addEventListener('scroll', () => {
-            if (this.currentChapter === 'fastapi') {
-                this.updateSectionHighlightOnScroll();
+        // Section IDs start with the chapter ID, so they are unique across chapters
+        const heading = document.getElementById(id.split('/')[1]);
+        if (heading) {
+            this.getNoteElement(heading)?.remove();
+            const button = heading.querySelector('.heading-note');
+            if (button) {
+                this.updateNoteButton(button, false);
             }
-        });
+        }
+        this.handleNotesChange();
     }
-    
+
     /**
-     * Update active section highlight based on scroll position
+     * Keep the overview and search in step with the saved notes
      */
-    updateSectionHighlightOnScroll() {
-        // Only proceed if we're in the FastAPI chapter
-        if (this.currentChapter !== 'fastapi') return;
+    handleNotesChange() {
+        this.renderNotesPanel();
         
-        const sections = [
-            { id: '#fastapi', element: document.getElementById('fastapi') },
-            { id: '#fastapi-setup', element: document.getElementById('fastapi-setup') },
-            { id: '#fastapi-pydantic', element: document.getElementById('fastapi-pydantic') },
-            { id: '#fastapi-parameters', element: document.getElementById('fastapi-parameters') },
-            { id: '#fastapi-responses', element: document.getElementById('fastapi-responses') },
-            { id: '#fastapi-forms', element: document.getElementById('fastapi-forms') },
-            { id: '#fastapi-errors', element: document.getElementById('fastapi-errors') },
-            { id: '#fastapi-dependency', element: document.getElementById('fastapi-dependency') },
-            { id: '#fastapi-security', element: document.getElementById('fastapi-security') },
-            { id: '#fastapi-middleware', element: document.getElementById('fastapi-middleware') },
-            { id: '#fastapi-tasks', element: document.getElementById('fastapi-tasks') },
-            { id: '#fastapi-project', element: document.getElementById('fastapi-project') }
-        ].filter(section => section.element !== null); // Filter out sections that don't exist
+        // Chapters stay indexed; only the notes need re-reading
+        this.searchIndex = null;
+        this.searchIndexPromise = null;
+    }
+
+    /**
+     * List every note in the sidebar, grouped by chapter in reading order
+     */
+    renderNotesPanel() {
+        const panel = document.getElementById('notesPanel');
+        if (!panel) return;
         
-        if (sections.length === 0) return;
+        const notes = this.storage.get('notes');
+        const list = panel.querySelector('.bookmarks-list');
+        panel.querySelector('.bookmarks-count').textContent = notes.length || '';
         
-        // Find the section currently in view
-        const scrollPosition = document.querySelector('.main-content').scrollTop;
-        let currentSection = sections[0].id;
+        const groups = this.chapters
+            .map(chapterId => ({ chapterId, items: notes.filter(note => note.chapterId === chapterId) }))
+            .filter(group => group.items.length > 0);
         
-        for (let i = 0; i < sections.length; i++) {
-            const section = sections[i];
-            if (section.element.offsetTop <= scrollPosition + 100) {
-                currentSection = section.id;
-            }
+        if (groups.length === 0) {
+            list.innerHTML = '<p class="bookmarks-empty">Add a note to any section with the pencil button beside its heading.</p>';
+            return;
         }
         
-        this.updateActiveSectionLink(currentSection);
+        list.innerHTML = groups.map(({ chapterId, items }) => `
+            <div class="bookmarks-group">
+                <h4>${this.escapeHtml(this.chapterInfo[chapterId].title)}</h4>
+                <ul>
+                    ${items.map(note => {
+                        const excerpt = this.stripInlineMarkdown(note.text);
+                        return `
+                            <li class="bookmark-item note-item">
+                                <a href="${this.buildRoute(chapterId, note.sectionId)}" class="bookmark-link" data-chapter="${chapterId}" data-section="${note.sectionId}">
+                                    <span class="note-item-title">${this.escapeHtml(note.title)}</span>
+                                    <span class="note-item-text">${this.escapeHtml(excerpt.length > 80 ? `${excerpt.slice(0, 80)}…` : excerpt)}</span>
+                                </a>
+                                <button type="button" class="bookmark-remove" data-id="${this.escapeHtml(note.id)}" aria-label="Delete note">&times;</button>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render the "On this page" table of contents for a chapter in the sidebar
+     */
+    renderChapterToc(container) {
+        const toc = document.getElementById('chapterToc');
+        if (!toc) return;
+        
+        const headings = container.querySelectorAll('.chapter-content h2[id], .chapter-content h3[id]');
+        const list = toc.querySelector('.chapter-toc-list');
+        
+        toc.classList.toggle('hidden', headings.length === 0);
+        list.innerHTML = Array.from(headings).map(heading => `
+            <li class="chapter-toc-item level-${heading.tagName.charAt(1)}">
+                <a href="${this.buildRoute(container.id, heading.id)}" class="chapter-toc-link" data-section="${heading.id}">${this.escapeHtml(heading.textContent)}</a>
+            </li>
+        `).join('');
     }
 
     /**
@@ -991,6 +6120,11 @@ class PythonHandbook {
             this.completedChapters.delete(chapterId);
         }
         
+        this.storage.update('completedChapters', completed => {
+            const { [chapterId]: previous, ...others } = completed;
+            return isCompleted ? { ...others, [chapterId]: previous || new Date().toISOString() } : others;
+        });
+        
         this.updateProgress();
         this.updateNavLinkCompletion(chapterId, isCompleted);
     }
@@ -999,7 +6133,7 @@ class PythonHandbook {
      * Update navigation link to show completion status
      */
     updateNavLinkCompletion(chapterId, isCompleted) {
-        const navLink = document.querySelector(`[data-chapter="${chapterId}"]`);
+        const navLink = document.querySelector(`.nav-link[data-chapter="${chapterId}"]`);
         if (navLink) {
             if (isCompleted) {
                 navLink.classList.add('completed');
@@ -1014,7 +6148,8 @@ class PythonHandbook {
      */
     updateProgress() {
         const totalChapters = this.chapters.length;
-        const completedCount = this.completedChapters.size;
+        // Ignore saved chapters that no longer exist
+        const completedCount = this.chapters.filter(chapterId => this.completedChapters.has(chapterId)).length;
         const percentage = Math.round((completedCount / totalChapters) * 100);
         
         const progressFill = document.getElementById('overallProgress');
@@ -1027,79 +6162,19 @@ class PythonHandbook {
         if (progressText) {
             progressText.textContent = `${percentage}% Complete`;
         }
-    }
-    
-    /**
-     * Build search index for all chapters 
-     */
-    searchIndex = {
-        'welcome': {
-            title: 'Welcome to Python Mastery Handbook',
-            content: 'python javascript developers clean syntax powerful ecosystem web development data science ai learning fast hands-on projects'
-        },
-        'setup': {
-            title: 'Setup & Installation',
-            content: 'python installation windows macos homebrew pip package management virtual environment requirements.txt npm comparison'
-        },
-        'variables': {
-            title: 'Variables & Data Types',
-            content: 'variables data types str int float bool none javascript comparison type checking isinstance conversion'
-        },
-        'strings': {
-            title: 'Strings',
-            content: 'string methods formatting f-strings concatenation slicing python vs javascript template literals'
-        },
-        'lists': {
-            title: 'Lists & Tuples',
-            content: 'lists tuples arrays javascript methods append extend slice indexing comprehensions immutable mutable'
-        },
-        'dictionaries': {
-            title: 'Dictionaries & Sets',
-            content: 'dictionaries sets objects maps javascript keys values methods get items unique collections'
-        },
-        'conditionals': {
-            title: 'Conditionals',
-            content: 'if else elif conditional statements boolean logic comparison operators and or not javascript'
-        },
-        'loops': {
-            title: 'Loops',
-            content: 'for while loops iteration range enumerate javascript for-of for-in while do-while break continue'
-        },
-        'functions': {
-            title: 'Functions',
-            content: 'functions def parameters arguments return lambda arrow functions javascript default parameters kwargs'
-        },
-        'classes': {
-            title: 'Classes & Objects',
-            content: 'classes objects oop __init__ constructor methods attributes self this javascript class comparison'
-        },
-        'inheritance': {
-            title: 'Inheritance',
-            content: 'inheritance super method overriding polymorphism extends javascript class inheritance prototype'
-        },
-        'type-hints': {
-            title: 'Type Hints',
-            content: 'type hints typing annotations optional union list dict typescript comparison static typing mypy'
-        },
-        'dataclasses': {
-            title: 'Dataclasses',
-            content: 'dataclasses decorator fields __post_init__ frozen typescript interfaces javascript classes'
-        },
-        'async': {
-            title: 'Async Programming',
-            content: 'async await asyncio promises javascript asynchronous programming coroutines event loop aiohttp'
-        },
-        'decorators': {
-            title: 'Decorators',
-            content: 'decorators function decorators class decorators @property @staticmethod @classmethod higher order functions'
-        },
-        'cli-project': {
-            title: 'CLI Tool Project',
-            content: 'cli command line click library commander.js node.js arguments options weather tool file analysis'
-        },
-        'web-api': {
-            title: 'Web API Project',
-            content: 'web api fastapi flask express.js javascript rest api endpoints json swagger documentation'
+        
+        const pathProgress = document.getElementById('pathProgress');
+        if (pathProgress) {
+            const pathCompleted = this.pathChapters.filter(chapterId => this.completedChapters.has(chapterId)).length;
+            pathProgress.textContent = this.pathChapters === this.chapters ? '' : `${pathCompleted} of ${this.pathChapters.length} path chapters complete`;
+        }
+        
+        const exerciseProgress = document.getElementById('exerciseProgress');
+        if (exerciseProgress) {
+            const passedCount = Object.entries(this.storage.get('exerciseResults'))
+                .filter(([chapterId]) => this.chapterMap[chapterId])
+                .reduce((count, [, results]) => count + Object.values(results).filter(result => result.passed).length, 0);
+            exerciseProgress.textContent = passedCount > 0 ? `${passedCount} exercise${passedCount === 1 ? '' : 's'} passed` : '';
         }
     }
 }
@@ -70,22 +70,24 @@ function setupTouchInteractions() {
         });
     });
     
-    // Make code comparison sections horizontally scrollable on touch
-    document.querySelectorAll('.code-comparison').forEach(section => {
-        let startX, scrollLeft;
+    // Make code comparison sections horizontally scrollable on touch.
+    // Listen on the document so comparisons rendered from chapter Markdown are included.
+    let section, startX, scrollLeft;
+    
+    document.addEventListener('touchstart', function(e) {
+        section = e.target.closest('.code-comparison');
+        if (!section) return;
         
-        section.addEventListener('touchstart', function(e) {
-            startX = e.touches[0].pageX - section.offsetLeft;
-            scrollLeft = section.scrollLeft;
-        });
+        startX = e.touches[0].pageX - section.offsetLeft;
+        scrollLeft = section.scrollLeft;
+    });
+    
+    document.addEventListener('touchmove', function(e) {
+        if (!section || !startX) return;
         
-        section.addEventListener('touchmove', function(e) {
-            if (!startX) return;
-            
-            const x = e.touches[0].pageX - section.offsetLeft;
-            const walk = (x - startX) * 1.5; // Scroll speed multiplier
-            section.scrollLeft = scrollLeft - walk;
-        });
+        const x = e.touches[0].pageX - section.offsetLeft;
+        const walk = (x - startX) * 1.5; // Scroll speed multiplier
+        section.scrollLeft = scrollLeft - walk;
     });
 }
 
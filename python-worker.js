@@ -0,0 +1,130 @@
+/* Python Worker - runs code blocks in a Pyodide (WebAssembly) interpreter off the main thread */
+
+let pyodide = null;
+let namespace = null;
+
+self.addEventListener('message', async (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'init':
+            await initialize(message.indexUrl);
+            break;
+        case 'run':
+            await run(message.id, message.code, message.isolated, message.tests);
+            break;
+        case 'reset':
+            resetNamespace();
+            break;
+    }
+});
+
+/**
+ * Load the Pyodide runtime and route its standard streams back to the page
+ */
+async function initialize(indexUrl) {
+    try {
+        importScripts(`${indexUrl}pyodide.js`);
+        pyodide = await loadPyodide({ indexURL: indexUrl });
+
+        pyodide.setStdout({ batched: text => self.postMessage({ type: 'stdout', text: text + '\n' }) });
+        pyodide.setStderr({ batched: text => self.postMessage({ type: 'stderr', text: text + '\n' }) });
+
+        // There is no terminal to read from, so input() sees end-of-file
+        pyodide.setStdin({ stdin: () => null });
+
+        resetNamespace();
+        self.postMessage({ type: 'ready' });
+    } catch (error) {
+        self.postMessage({ type: 'init-error', error: error.message });
+    }
+}
+
+/**
+ * Start over with empty globals, as if running a fresh script
+ */
+function resetNamespace() {
+    if (!pyodide) return;
+
+    if (namespace) {
+        namespace.destroy();
+    }
+    namespace = pyodide.globals.get('dict')();
+    namespace.set('__name__', '__main__');
+}
+
+/**
+ * Run a snippet in the shared namespace, loading any packages it imports first.
+ * Isolated runs (exercise checks) get fresh globals that are thrown away afterwards.
+ * Exercise tests run after the snippet, and their results go back with the
+ * completion message so nothing the snippet prints can pass for them.
+ */
+async function run(id, code, isolated = false, tests = null) {
+    const globals = isolated ? pyodide.globals.get('dict')() : namespace;
+    if (isolated) {
+        globals.set('__name__', '__main__');
+    }
+
+    try {
+        await pyodide.loadPackagesFromImports(code);
+        await pyodide.runPythonAsync(code, { globals });
+        const testResults = tests ? await runTests(tests, globals) : undefined;
+        self.postMessage({ type: 'done', id, testResults });
+    } catch (error) {
+        self.postMessage({ type: 'done', id, error: formatTraceback(error.message) });
+    } finally {
+        if (isolated) {
+            globals.destroy();
+        }
+    }
+}
+
+/**
+ * Run each test against the snippet's globals. A test passes unless it raises.
+ */
+async function runTests(tests, globals) {
+    const results = [];
+
+    for (const source of tests) {
+        try {
+            await pyodide.runPythonAsync(source, { globals });
+            results.push({ passed: true });
+        } catch (error) {
+            results.push({ passed: false, error: describeTestFailure(error.message) });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Summarise a failed test from the last line of its traceback. Assertions
+ * show just their message, other errors their type as well.
+ */
+function describeTestFailure(traceback) {
+    const lines = traceback.trim().split('\n');
+    const summary = lines[lines.length - 1];
+
+    if (summary === 'AssertionError') return 'Assertion failed';
+    if (summary.startsWith('AssertionError: ')) return summary.slice('AssertionError: '.length);
+    return summary;
+}
+
+/**
+ * Drop Pyodide's own frames from a traceback so it points at the learner's code
+ */
+function formatTraceback(traceback) {
+    const lines = traceback.split('\n');
+    const result = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        if (lines[i].startsWith('  File "/lib/')) {
+            // Skip the frame and its source line
+            if (lines[i + 1] && lines[i + 1].startsWith('    ')) i++;
+            continue;
+        }
+        result.push(lines[i]);
+    }
+
+    return result.join('\n').trim();
+}
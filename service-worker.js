@@ -0,0 +1,184 @@
+/* Service Worker - keeps the handbook readable offline */
+
+// Bump when the shell or library lists below change
+const CACHE_VERSION = 'v3';
+
+const SHELL_CACHE = `python-handbook-shell-${CACHE_VERSION}`;
+const LIBRARY_CACHE = `python-handbook-libraries-${CACHE_VERSION}`;
+// Not versioned: chapters are revalidated one by one instead
+const CHAPTER_CACHE = 'python-handbook-chapters';
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './style.css',
+    './markdown-styles.css',
+    './mobile-styles.css',
+    './mobile-additional.css',
+    './mobile-search.css',
+    './mobile-interactive.css',
+    './epub-styles.css',
+    './app.js',
+    './mobile-scroll-helper.js',
+    './python-worker.js',
+    './manifest.webmanifest',
+    './icon.svg'
+];
+
+const PRISM_URL = 'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/';
+
+// The autoloader fetches language grammars on demand, so cache the ones the chapters use
+const LIBRARY_FILES = [
+    // One code theme per colour theme
+    ...['prism', 'prism-tomorrow', 'prism-okaidia', 'prism-solarizedlight']
+        .map(theme => `${PRISM_URL}themes/${theme}.min.css`),
+    `${PRISM_URL}components/prism-core.min.js`,
+    `${PRISM_URL}plugins/autoloader/prism-autoloader.min.js`,
+    ...['clike', 'markup', 'python', 'javascript', 'typescript', 'bash', 'json', 'yaml', 'toml', 'ini', 'docker', 'markdown']
+        .map(language => `${PRISM_URL}components/prism-${language}.min.js`),
+    'https://cdnjs.cloudflare.com/ajax/libs/marked/4.0.2/marked.min.js'
+];
+
+// Fonts and any other grammars are cached the first time they are used
+const LIBRARY_HOSTS = ['cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (e) => {
+    e.waitUntil(Promise.all([
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)),
+        caches.open(LIBRARY_CACHE).then(cache => cache.addAll(LIBRARY_FILES))
+    ]));
+});
+
+self.addEventListener('activate', (e) => {
+    const currentCaches = [SHELL_CACHE, LIBRARY_CACHE, CHAPTER_CACHE];
+
+    e.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith('python-handbook-') && !currentCaches.includes(name))
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'cache-chapters':
+            e.waitUntil(cacheChapters(message.urls, e.ports[0], message.missingOnly));
+            break;
+        case 'skip-waiting':
+            self.skipWaiting();
+            break;
+    }
+});
+
+self.addEventListener('fetch', (e) => {
+    const request = e.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        e.respondWith(staleWhileRevalidate(e, SHELL_CACHE, new Request('./index.html')));
+    } else if (url.origin === self.location.origin && url.pathname.endsWith('.md')) {
+        e.respondWith(staleWhileRevalidate(e, CHAPTER_CACHE, request));
+    } else if (url.origin === self.location.origin) {
+        e.respondWith(staleWhileRevalidate(e, SHELL_CACHE, request));
+    } else if (LIBRARY_HOSTS.includes(url.hostname)) {
+        e.respondWith(cacheFirst(LIBRARY_CACHE, request));
+    }
+});
+
+/**
+ * Answer from the cache straight away and refresh the cached copy in the background.
+ * Falls back to the network when nothing is cached yet.
+ */
+async function staleWhileRevalidate(e, cacheName, request) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const refresh = refreshCachedResponse(cache, request, cached, cacheName === CHAPTER_CACHE);
+
+    if (cached) {
+        e.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Fetch a fresh copy into the cache. Tells open pages when a chapter's
+ * Markdown differs from the copy they were shown.
+ */
+async function refreshCachedResponse(cache, request, cached, notifyChanges) {
+    const response = await fetch(request);
+    if (!response.ok) return response;
+
+    if (cached && notifyChanges) {
+        const [oldText, newText] = await Promise.all([cached.clone().text(), response.clone().text()]);
+        if (oldText !== newText) {
+            await cache.put(request, response.clone());
+            await notifyClients({ type: 'chapter-updated', url: request.url });
+            return response;
+        }
+    }
+
+    await cache.put(request, response.clone());
+    return response;
+}
+
+/**
+ * Serve versioned library files from the cache, fetching them only once
+ */
+async function cacheFirst(cacheName, request) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Cross-origin stylesheets and fonts may come back opaque (status 0)
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Download every chapter into the cache, reporting progress through the
+ * given MessagePort. Chapters that are already cached are revalidated,
+ * or skipped when only missing chapters were asked for.
+ */
+async function cacheChapters(urls, port, missingOnly = false) {
+    const cache = await caches.open(CHAPTER_CACHE);
+    let done = 0;
+    let failed = 0;
+
+    for (const url of urls) {
+        const request = new Request(url);
+        try {
+            const cached = await cache.match(request);
+            if (!cached || !missingOnly) {
+                const response = await refreshCachedResponse(cache, request, cached, true);
+                if (!response.ok) failed++;
+            }
+        } catch (error) {
+            failed++;
+        }
+
+        done++;
+        if (port) port.postMessage({ type: 'progress', done, total: urls.length });
+    }
+
+    if (port) port.postMessage({ type: 'complete', failed, total: urls.length });
+}
+
+/**
+ * Send a message to every open handbook page
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}